@@ -27,8 +27,35 @@ import {
   ImageIcon,
   Cpu,
   Ruler,
-  ExternalLink
+  Wand2,
+  ArrowLeftRight,
+  History,
+  Trash2,
+  Users,
+  Printer,
+  FileUp,
+  Filter,
+  Scale,
+  Target,
+  Crop,
+  RotateCw,
+  ZoomIn,
+  Flame,
+  Camera,
+  X,
+  Languages
 } from 'lucide-react';
+import { loadImage, locateLandmarks, measureContactArea } from './footprint.js';
+import { renderFootprint } from './meshRenderer.js';
+import { saveAnalysis, updateAnalysis, listAnalyses, deleteAnalysis, createThumbnail } from './history.js';
+import { requestRecommendation, getProviderLabel } from './aiProviders.js';
+import { SHOE_CATALOG, WIDTHS, categoryLabel, widthLabel, rankCatalog, matchCatalogEntry } from './shoeCatalog.js';
+import { REFERENCE_OBJECTS, DEFAULT_CALIBRATION, SIZE_SYSTEMS, EU_SIZE_RANGE, footLengthFromEu, convertSize, formatSize, referenceDistance, measureInMillimetres } from './sizing.js';
+import { renderAnnotatedImage, buildReportHtml, printReport, exportAnalysisJson, readAnalysisJson } from './report.js';
+import { PROFILES, CUSTOM_PROFILE_ID, INDEX_KEYS, indexLabel, voteLabel, limitLabel, classifyFoot, resolveProfile, profileLabel, formatIndex, formatDistance, describeDecision } from './classification.js';
+import { GUIDE_HEIGHT, GUIDE_ASPECT, FOOT_OUTLINE_PATH, CHECK_KEYS, connectStream, analyzeFrame, captureFrame, defaultStreamSource } from './cameraCapture.js';
+import { LANGUAGES, t, getLanguage, setLanguage, getLocale, defaultSizeSystem } from './i18n.js';
+import { SHEET_FORMATS, DEFAULT_CORNERS, DEFAULT_CORRECTION, isCorrected, correctionBase, rotateCanvas, rotatedSize, applyCorrection, detectRotation, detectCrop } from './imageCorrection.js';
 
 /**
  * STRIDELAB.AI - BIOMECHANISCHE LAUFSCHUH-ANALYSE
@@ -37,92 +64,702 @@ import {
  */
 
 // --- Biomechanische Typen ---
+// Name, Pronation, Beschreibung, Risiken und Schuhtyp stehen im Katalog unter footTypes
 const FOOT_TYPES = {
   flat: {
     id: 'flat',
-    name: 'Pes Planus (Senk-/Plattfuß)',
-    pronation: 'Überpronation',
-    description: 'Große Kontaktfläche im Mittelfuß. Ein hoher Staheli-Index deutet auf ein abgesunkenes Längsgewölbe hin.',
-    medicalRisks: ['Schienbeinkantensyndrom', 'Plantarfasziitis', 'Innenmeniskus-Belastung'],
-    shoeType: 'Stabilitätsschuh / Motion Control',
+    shoeCategory: 'stability',
     icon: Shield,
     color: 'text-red-400',
     overlayColor: 'rgba(248, 113, 113, 0.4)' 
   },
   neutral: {
     id: 'neutral',
-    name: 'Pes Rectus (Normalfuß)',
-    pronation: 'Neutrale Pronation',
-    description: 'Physiologisch gesundes Verhältnis der Druckpunkte. Der Fuß rollt effizient über den Großzehenballen ab.',
-    medicalRisks: ['Geringes Verletzungsrisiko bei Standardbelastung'],
-    shoeType: 'Neutralschuh',
+    shoeCategory: 'neutral',
     icon: Zap,
     color: 'text-green-400',
     overlayColor: 'rgba(74, 222, 128, 0.4)' 
   },
   high: {
     id: 'high',
-    name: 'Pes Cavus (Hohlfuß)',
-    pronation: 'Supination (Unterpronation)',
-    description: 'Minimale Kontaktfläche im Mittelfuß. Die Stoßdämpfung durch das Gewölbe ist biomechanisch eingeschränkt.',
-    medicalRisks: ['Stressfrakturen', 'Instabilität im Sprunggelenk', 'Sehnenreizungen'],
-    shoeType: 'Dämpfungsschuh (Neutral Plus)',
+    shoeCategory: 'cushioned',
     icon: Feather,
     color: 'text-blue-400',
     overlayColor: 'rgba(96, 165, 250, 0.4)'
   }
 };
 
+const footType = (id) => ({ ...FOOT_TYPES[id], ...t(`footTypes.${id}`) });
+
+const DEFAULT_TOOLS = {
+  forefoot: { y: 25, x: 20, width: 60 },
+  arch: { y: 50, x: 35, width: 30 },
+  heel: { y: 80, x: 30, width: 40 }
+};
+
+const TOOL_KEYS = ['forefoot', 'arch', 'heel'];
+
+const TOOL_STYLES = {
+  forefoot: { colorClass: 'text-cyan-400', borderClass: 'border-cyan-400', bgClass: 'bg-cyan-500/10' },
+  arch: { colorClass: 'text-amber-400', borderClass: 'border-amber-400', bgClass: 'bg-amber-500/10' },
+  heel: { colorClass: 'text-purple-400', borderClass: 'border-purple-400', bgClass: 'bg-purple-500/10' }
+};
+
+// Bezeichnungen im Katalog unter sides, footSides und placement
+const SIDES = ['left', 'right'];
+const OTHER_SIDE = { left: 'right', right: 'left' };
+const EMPTY_PAIR = { left: null, right: null };
+
+// --- Klassifikation (Grenzwert-Profile in classification.js) ---
+const CUSTOM_PROFILE_STORAGE_KEY = 'stridelab.classificationProfile';
+
+const loadProfileSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_PROFILE_STORAGE_KEY));
+    if (stored?.limits) return stored;
+  } catch (e) { console.error(e); }
+  return { profile: 'adult', limits: PROFILES.adult.limits };
+};
+
+// --- Links/Rechts-Vergleich ---
+const ASYMMETRY_LIMIT = 10; // % Abweichung, ab der ein Seitenunterschied markiert wird
+
+const ASYMMETRY_KEYS = ['csi', 'si', 'footLength'];
+
+const percentDiff = (a, b) => {
+  const mean = (a + b) / 2;
+  return mean ? (Math.abs(a - b) / mean) * 100 : 0;
+};
+
+// Fußlänge nur in mm, wenn beide Seiten mit Referenz kalibriert sind; relative Längen zweier Fotos sind nicht vergleichbar
+const asymmetryValues = (key, left, right) => {
+  if (key !== 'footLength') return [left[key], right[key]];
+  return left.footLengthMm && right.footLengthMm ? [`${left.footLengthMm} mm`, `${right.footLengthMm} mm`] : [null, null];
+};
+
+// Senk- und Hohlfuß im Paar verlangen gegensätzliche Schuhtypen
+const hasOpposingTypes = (left, right) => left.id !== right.id && left.id !== 'neutral' && right.id !== 'neutral';
+
+const compareFeet = (left, right) => {
+  const metrics = ASYMMETRY_KEYS.map(k => [k, ...asymmetryValues(k, left.metrics, right.metrics)]).filter(([, l, r]) => l != null && r != null).map(([k, l, r]) => {
+    const diff = percentDiff(parseFloat(l), parseFloat(r));
+    return { key: k, left: l, right: r, diff: diff.toFixed(1), flagged: diff > ASYMMETRY_LIMIT };
+  });
+  // Der vom Normalfuß abweichende Fuß bestimmt den Schuhtyp. Senk- gegen Hohlfuß hat keinen gemeinsamen Schuhtyp
+  // (siehe hasOpposingTypes); `recommended` wählt dann nur die neutrale Katalog-Kategorie als Kompromiss.
+  const deviating = new Set([left.id, right.id].filter(id => id !== 'neutral'));
+  return { metrics, typeMismatch: left.id !== right.id, recommended: deviating.size === 1 ? [...deviating][0] : 'neutral' };
+};
+
+// Kurzbeschreibung für den KI-Prompt, in der aktiven Sprache
+const describeFoot = ({ name, metrics: m, classification }) => `${name}${classification?.borderline ? ` (${t('classification.borderline')})` : ''}, CSI: ${m.csi}, SI: ${m.si}${m.archIndex ? `, ${indexLabel('archIndex')}: ${m.archIndex}` : ''}${m.clarkeAngle ? `, ${indexLabel('clarkeAngle')}: ${m.clarkeAngle}°` : ''}${m.footLengthMm ? `, ${t('measurements.footLength')}: ${m.footLengthMm} mm, ${t('measurements.ballWidth')}: ${m.ballWidthMm} mm` : ''}${m.widthFitting ? `, ${t('measurements.width')}: ${widthLabel(m.widthFitting)}` : ''}`;
+
+// Paar: ist ein Fuß weit, bestimmt er die Weite; schmal nur, wenn beide schmal sind
+const reportWidthFitting = (result) => {
+  if (!result.feet) return result.metrics?.widthFitting;
+  const fittings = [result.feet.left.metrics.widthFitting, result.feet.right.metrics.widthFitting];
+  if (fittings.some(f => !f)) return undefined;
+  return fittings.includes('wide') ? 'wide' : (fittings.every(f => f === 'narrow') ? 'narrow' : 'regular');
+};
+
+const describePair = (left, right, asymmetry) => `${t('sides.left')}: ${describeFoot(left)}; ${t('sides.right')}: ${describeFoot(right)}; ${t('asymmetry.heading')}: ${asymmetry.metrics.map(m => `${t(`asymmetry.metrics.${m.key}`)} ${m.diff}%`).join(', ')}${asymmetry.typeMismatch ? ` (${t('asymmetry.typesDiffer')})` : ''}; ${hasOpposingTypes(left, right) ? t('ai.opposingTypes', { left: left.shoeType, right: right.shoeType }) : `${t('ai.pairShoeType')}: ${footType(asymmetry.recommended).shoeType}`}`;
+
+// Schuhtyp der Empfehlung; gegensätzliche Füße bekommen keinen gemeinsamen, sondern je Seite einen
+const recommendationTitle = (result) => result.feet && hasOpposingTypes(result.feet.left, result.feet.right)
+  ? { title: t('recommendation.noCommonType'), detail: t('recommendation.perSide', { left: result.feet.left.shoeType, right: result.feet.right.shoeType }) }
+  : { title: result.shoeType, detail: null };
+
+// Eingaben der KI-Empfehlung zu einem Einzel- oder Paar-Ergebnis (Texte in der aktiven Sprache)
+const aiRequestFor = (result) => result.feet
+  ? { analysis: describePair(result.feet.left, result.feet.right, result.asymmetry), diagnosis: result, feet: [result.feet.left, result.feet.right] }
+  : { analysis: describeFoot(result), diagnosis: result, feet: [result] };
+
+// --- Serialisierung (Verlauf) ---
+// Gespeichert wird nur die Typ-ID; Texte (aktive Sprache) und Icon kommen beim Laden wieder aus FOOT_TYPES
+const serializeResult = ({ id, placement, metrics, classification, feet, asymmetry }) => feet
+  ? { id, asymmetry, feet: { left: serializeResult(feet.left), right: serializeResult(feet.right) } }
+  : { id, placement, metrics, classification };
+
+const hydrateResult = (stored) => stored.feet
+  ? { ...footType(stored.id), asymmetry: stored.asymmetry, feet: { left: hydrateResult(stored.feet.left), right: hydrateResult(stored.feet.right) } }
+  : { ...footType(stored.id), placement: stored.placement, metrics: stored.metrics, classification: stored.classification };
+
+// Nach einem Sprachwechsel die Texte eines Ergebnisses neu aus dem Katalog laden
+const relocalizeResult = (result) => result && hydrateResult(serializeResult(result));
+
+// Paar-Einträge gehen mit dem Mittel beider Füße in die Verlaufskurve ein
+const entryIndices = ({ result }) => {
+  const feet = result.feet ? [result.feet.left, result.feet.right] : [result];
+  const mean = (k) => feet.reduce((sum, f) => sum + parseFloat(f.metrics[k]), 0) / feet.length;
+  return { csi: mean('csi'), si: mean('si') };
+};
+
+const formatDate = (ts) => new Date(ts).toLocaleDateString(getLocale());
+
+const fitDims = (container, natural) => {
+  if (!container.w || !natural.w) return { w: 0, h: 0 };
+  const cR = container.w / container.h;
+  const iR = natural.w / natural.h;
+  return iR > cR ? { w: container.w, h: container.w / iR } : { h: container.h, w: container.h * iR };
+};
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+const useElementSize = (ref) => {
+  const [size, setSize] = useState({ w: 0, h: 0 });
+  useEffect(() => {
+    const observer = new ResizeObserver(() => { if (ref.current) setSize({ w: ref.current.clientWidth, h: ref.current.clientHeight }); });
+    if (ref.current) observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [ref]);
+  return size;
+};
+
+// --- Zoom & Pan (Mausrad, Ziehen, Pinch) ---
+// Transformiert wird der Inhalt (Bild, Punktwolke, Balken) als Ganzes, daher bleiben die Balken deckungsgleich.
+const MAX_ZOOM = 6;
+const IDENTITY_ZOOM = { scale: 1, x: 0, y: 0 };
+
+// Verschiebung so begrenzen, dass der Inhalt den ursprünglichen Bildbereich ausfüllt
+const clampZoom = ({ scale, x, y }, content) => {
+  const s = Math.min(MAX_ZOOM, Math.max(1, scale));
+  if (s === 1) return IDENTITY_ZOOM;
+  return { scale: s, x: Math.min(0, Math.max(content.w * (1 - s), x)), y: Math.min(0, Math.max(content.h * (1 - s), y)) };
+};
+
+// Der Inhaltspunkt unter `from` (Zoom `zoom`) landet bei Skalierung `scale` unter `to`
+const zoomAround = (zoom, scale, from, to, content) => clampZoom({
+  scale,
+  x: to.x - ((from.x - zoom.x) / zoom.scale) * scale,
+  y: to.y - ((from.y - zoom.y) / zoom.scale) * scale
+}, content);
+
+const usePanZoom = (ref, content, { enabled, resetKey }) => {
+  const [zoom, setZoom] = useState(IDENTITY_ZOOM);
+  const zoomRef = useRef(zoom);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  zoomRef.current = zoom;
+
+  useEffect(() => { setZoom(IDENTITY_ZOOM); }, [resetKey, content.w, content.h]);
+
+  // Bildschirmkoordinaten → Koordinaten relativ zur linken oberen Ecke des ungezoomten, zentrierten Inhalts
+  const toContent = (clientX, clientY) => {
+    const rect = ref.current.getBoundingClientRect();
+    return { x: clientX - rect.left - (rect.width - content.w) / 2, y: clientY - rect.top - (rect.height - content.h) / 2 };
+  };
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || !enabled) return;
+    // Nicht-passiver Listener, damit das Mausrad nicht zusätzlich die Seite scrollt
+    const onWheel = (e) => {
+      e.preventDefault();
+      const p = toContent(e.clientX, e.clientY);
+      setZoom(z => zoomAround(z, z.scale * Math.exp(-e.deltaY * 0.0015), p, p, content));
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [ref, enabled, content.w, content.h]);
+
+  const restartGesture = () => {
+    gesture.current = pointers.current.size ? { zoom: zoomRef.current, points: [...pointers.current.values()] } : null;
+  };
+
+  const onPointerDown = (e) => {
+    if (!enabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    restartGesture();
+  };
+
+  const onPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const start = gesture.current;
+    const points = [...pointers.current.values()];
+    if (points.length >= 2) {
+      const [a, b] = points, [a0, b0] = start.points;
+      const mid = toContent((a.x + b.x) / 2, (a.y + b.y) / 2), mid0 = toContent((a0.x + b0.x) / 2, (a0.y + b0.y) / 2);
+      const scale = start.zoom.scale * (Math.hypot(a.x - b.x, a.y - b.y) / (Math.hypot(a0.x - b0.x, a0.y - b0.y) || 1));
+      setZoom(zoomAround(start.zoom, scale, mid0, mid, content));
+    } else if (start.zoom.scale > 1) {
+      setZoom(clampZoom({ ...start.zoom, x: start.zoom.x + e.clientX - start.points[0].x, y: start.zoom.y + e.clientY - start.points[0].y }, content));
+    }
+  };
+
+  const onPointerUp = (e) => { pointers.current.delete(e.pointerId); restartGesture(); };
+
+  return { zoom, resetZoom: () => setZoom(IDENTITY_ZOOM), handlers: { onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp } };
+};
+
 // --- Point Cloud Engine (Lidar-Visualisierung) ---
-const FootprintMesh = ({ imageSrc, width, height, sensitivity, contrast }) => {
-  const canvasRef = useRef(null);
+// Rendert im Web Worker (OffscreenCanvas); ohne transferControlToOffscreen im Hauptthread.
+// Das Canvas wird imperativ erzeugt, weil es nach der Übergabe an den Worker nicht erneut übertragen werden kann.
+// `setImage` lädt eine Bild-URL, `setFrame` übernimmt ein fertiges ImageBitmap (Kamera-Vorschau).
+const useMeshRenderer = (hostRef) => {
+  const rendererRef = useRef(null);
 
   useEffect(() => {
-    if (!width || !height || width <= 0 || height <= 0) return;
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    img.crossOrigin = "Anonymous";
-    img.src = imageSrc;
-
-    let isMounted = true;
-    img.onload = () => {
-      if (!isMounted) return;
-      ctx.clearRect(0, 0, width, height);
-      const offCanvas = document.createElement('canvas');
-      const scaleFactor = 0.25; 
-      const smallW = Math.max(1, Math.floor(width * scaleFactor));
-      const smallH = Math.max(1, Math.floor(height * scaleFactor));
-      offCanvas.width = smallW;
-      offCanvas.height = smallH;
-      const offCtx = offCanvas.getContext('2d');
-      offCtx.filter = `contrast(${contrast}%) grayscale(100%) brightness(1.1)`;
-      offCtx.drawImage(img, 0, 0, smallW, smallH);
-      const imageData = offCtx.getImageData(0, 0, smallW, smallH);
-      const data = imageData.data;
-      const gap = 3; 
-      const threshold = 40 + (sensitivity * 2.0); 
-
-      for (let y = 0; y < smallH; y += gap) {
-        for (let x = 0; x < smallW; x += gap) {
-          const index = (y * smallW + x) * 4;
-          if (data[index] < threshold) {
-            const originalX = x / scaleFactor;
-            const originalY = y / scaleFactor;
-            const intensity = 1 - (data[index] / threshold); 
-            ctx.beginPath();
-            let color = intensity > 0.6 ? 'rgba(239, 68, 68, 0.9)' : (intensity > 0.3 ? 'rgba(234, 179, 8, 0.7)' : 'rgba(34, 211, 238, 0.7)');
-            ctx.arc(originalX, originalY, (1 + (intensity * 2.5)) * scaleFactor * 4, 0, Math.PI * 2);
-            ctx.fillStyle = color;
-            ctx.fill();
-          }
-        }
-      }
+    const canvas = document.createElement('canvas');
+    canvas.className = 'absolute inset-0 w-full h-full';
+    hostRef.current.appendChild(canvas);
+    if (canvas.transferControlToOffscreen) {
+      const worker = new Worker(new URL('./meshWorker.js', import.meta.url), { type: 'module' });
+      const offscreen = canvas.transferControlToOffscreen();
+      worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+      rendererRef.current = {
+        setImage: (src) => worker.postMessage({ type: 'image', src }),
+        setFrame: (bitmap) => worker.postMessage({ type: 'frame', bitmap }, [bitmap]),
+        render: (params) => worker.postMessage({ type: 'render', ...params })
+      };
+      return () => { worker.terminate(); canvas.remove(); rendererRef.current = null; };
+    }
+    let image = null, imageSrc = null, params = null;
+    const draw = () => { if (image && params?.width && params.height) renderFootprint(canvas, image, params); };
+    rendererRef.current = {
+      setImage: (src) => { imageSrc = src; loadImage(src).then(img => { if (src === imageSrc) { image = img; draw(); } }).catch(e => console.error(e)); },
+      setFrame: (bitmap) => { imageSrc = null; image?.close?.(); image = bitmap; draw(); },
+      render: (next) => { params = next; draw(); }
     };
-    return () => { isMounted = false; };
-  }, [imageSrc, width, height, sensitivity, contrast]);
+    return () => { image?.close?.(); canvas.remove(); rendererRef.current = null; };
+  }, [hostRef]);
+
+  return rendererRef;
+};
+
+const FootprintMesh = ({ imageSrc, width, height, sensitivity, contrast, mode }) => {
+  const hostRef = useRef(null);
+  const rendererRef = useMeshRenderer(hostRef);
+
+  useEffect(() => { rendererRef.current.setImage(imageSrc); }, [imageSrc]);
+
+  // Ohne `mode` bleibt der Worker (samt dekodiertem Bild) erhalten, zeichnet aber nicht
+  useEffect(() => {
+    if (mode) rendererRef.current.render({ width: Math.round(width), height: Math.round(height), sensitivity, contrast, mode });
+  }, [width, height, sensitivity, contrast, mode]);
+
+  return <div ref={hostRef} className={`absolute inset-0 pointer-events-none z-20 ${!mode ? 'hidden' : (mode === 'heatmap' ? '' : 'mix-blend-screen')}`} />;
+};
+
+// --- Messbalken ---
+const MeasurementTool = ({ toolKey, tool, readOnly = false, onPointerDown }) => {
+  const { colorClass, borderClass, bgClass } = TOOL_STYLES[toolKey];
+  const label = toolKey.toUpperCase();
+  return (
+    <div className="absolute h-10 flex items-center touch-none transition-all duration-75" style={{ top: `${tool.y}%`, left: `${tool.x}%`, width: `${tool.width}%`, transform: 'translateY(-50%)', zIndex: 30 }}>
+      <div className={`relative w-full h-full border-2 ${borderClass} ${bgClass} backdrop-blur-[1px] flex items-center justify-between shadow-lg`}>
+        {!readOnly && <div className="w-8 h-full cursor-ew-resize hover:bg-white/20 z-20 flex items-center justify-center" onPointerDown={(e) => onPointerDown(e, toolKey, 'resize-left')}><div className={`w-1 h-4 rounded-full ${colorClass.replace('text-', 'bg-')}`}></div></div>}
+        <div className={`flex-1 h-full flex items-center justify-center ${!readOnly ? 'cursor-move hover:bg-white/10' : ''}`} onPointerDown={(e) => !readOnly && onPointerDown(e, toolKey, 'move')}><div className={`px-3 py-1 rounded-md bg-slate-950/90 border ${borderClass} text-[10px] font-mono ${colorClass} font-bold tracking-wider flex items-center gap-2 select-none shadow-xl`}>{!readOnly && <Move className="w-3.5 h-3.5" />} {label}</div></div>
+        {!readOnly && <div className="w-8 h-full cursor-ew-resize hover:bg-white/20 z-20 flex items-center justify-center" onPointerDown={(e) => onPointerDown(e, toolKey, 'resize-right')}><div className={`w-1 h-4 rounded-full ${colorClass.replace('text-', 'bg-')}`}></div></div>}
+      </div>
+    </div>
+  );
+};
+
+// --- Upload-Feld (Drag & Drop oder Dateiauswahl) ---
+const UploadZone = ({ onFile, label, preview, className = '' }) => (
+  <div className={`border-2 border-dashed border-slate-800 rounded-3xl bg-slate-900/40 hover:border-cyan-500/50 flex flex-col items-center justify-center cursor-pointer group relative overflow-hidden transition-all ${className}`} onDragOver={e=>e.preventDefault()} onDrop={e=>{e.preventDefault(); onFile(e.dataTransfer.files[0])}}>
+    {preview && <img src={preview} alt={label} className="absolute inset-0 w-full h-full object-contain opacity-30 grayscale" />}
+    <input type="file" className="absolute inset-0 opacity-0 z-10" onChange={e=>onFile(e.target.files[0])} accept="image/*" />
+    <div className="relative flex flex-col items-center gap-6 group-hover:scale-110 transition-transform"><div className="p-6 bg-slate-800 rounded-full text-cyan-400 border border-slate-700">{preview ? <CheckCircle className="w-10 h-10" /> : <Upload className="w-10 h-10" />}</div><p className="font-bold text-xl">{label}</p></div>
+  </div>
+);
+
+// --- Bildkorrektur: Perspektive (Blattecken), Ausrichtung und Zuschnitt ---
+
+const CorrectionEditor = ({ source, correction, options, onApply, onCancel }) => {
+  const initial = correction || DEFAULT_CORRECTION;
+  const [stage, setStage] = useState('perspective');
+  const [corners, setCorners] = useState(initial.corners);
+  const [sheet, setSheet] = useState(initial.sheet);
+  const [rotation, setRotation] = useState(initial.rotation);
+  const [crop, setCrop] = useState(initial.crop);
+  const [base, setBase] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const containerRef = useRef(null);
+  const boxRef = useRef(null);
+  const canvasRef = useRef(null);
+  const containerSize = useElementSize(containerRef);
+
+  const rotated = base ? rotatedSize(base.width, base.height, rotation) : null;
+  const dims = fitDims(containerSize, stage === 'perspective' ? source.size : (rotated || { w: 0, h: 0 }));
+
+  useEffect(() => { if (base && canvasRef.current) rotateCanvas(base, rotation, canvasRef.current); }, [base, rotation, stage]);
+
+  const run = (task) => {
+    setBusy(true); setError(null);
+    return task().catch(e => { console.error(e); setError(e.message); }).finally(() => setBusy(false));
+  };
+
+  const toPercent = (e) => {
+    const rect = boxRef.current.getBoundingClientRect();
+    return { x: clampPercent(((e.clientX - rect.left) / rect.width) * 100), y: clampPercent(((e.clientY - rect.top) / rect.height) * 100) };
+  };
 
-  return <canvas ref={canvasRef} width={width} height={height} className="absolute inset-0 pointer-events-none z-20 mix-blend-screen" />;
+  const startDrag = (e, target) => { e.currentTarget.setPointerCapture(e.pointerId); setDrag({ target, origin: toPercent(e) }); };
+
+  const moveDrag = (e) => {
+    if (!drag) return;
+    const p = toPercent(e);
+    if (drag.target === 'crop') setCrop({ x: Math.min(drag.origin.x, p.x), y: Math.min(drag.origin.y, p.y), w: Math.abs(p.x - drag.origin.x), h: Math.abs(p.y - drag.origin.y) });
+    else setCorners(prev => prev.map((c, i) => i === drag.target ? p : c));
+  };
+
+  const endDrag = () => {
+    if (drag?.target === 'crop' && crop && (crop.w < 5 || crop.h < 5)) setCrop(null);
+    setDrag(null);
+  };
+
+  // Eine neue Drehung verschiebt den Bildausschnitt, daher wird der Zuschnitt verworfen
+  const rotate = (degrees) => { setRotation(Math.round((((degrees + 180) % 360 + 360) % 360 - 180) * 10) / 10); setCrop(null); };
+
+  const continueToAlign = () => run(async () => {
+    setBase(correctionBase(await loadImage(source.image), { corners, sheet }));
+    setStage('align');
+  });
+
+  const autoRotate = () => run(async () => {
+    const angle = await detectRotation(base.toDataURL('image/jpeg', 0.9), options);
+    if (angle == null) throw new Error(t('correction.noPrint'));
+    rotate(angle);
+  });
+
+  const autoCrop = () => run(async () => {
+    const box = await detectCrop(canvasRef.current.toDataURL('image/jpeg', 0.9), options);
+    if (!box) throw new Error(t('correction.noPrint'));
+    setCrop(box);
+  });
+
+  const buttonClass = 'px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all';
+
+  return (
+    <div className="flex-1 flex flex-col gap-4 min-h-0">
+      <div className="flex-1 relative bg-black rounded-[2rem] overflow-hidden border border-slate-800 flex items-center justify-center min-h-0" ref={containerRef}>
+        {stage === 'perspective' ? (
+          <div className="relative touch-none" style={{ width: dims.w, height: dims.h }} ref={boxRef}>
+            <img src={source.image} alt={t('correction.original')} className="w-full h-full grayscale" />
+            {corners && <svg className="absolute inset-0 w-full h-full pointer-events-none"><polygon points={corners.map(c => `${(c.x / 100) * dims.w},${(c.y / 100) * dims.h}`).join(' ')} fill="rgba(34,211,238,0.1)" stroke="#22d3ee" strokeWidth="2" strokeDasharray="6 4" /></svg>}
+            {corners && corners.map((c, i) => (<div key={i} title={t('correction.corners')[i]} onPointerDown={e => startDrag(e, i)} onPointerMove={moveDrag} onPointerUp={endDrag} className="absolute w-6 h-6 -ml-3 -mt-3 rounded-full border-2 border-cyan-400 bg-slate-950/70 cursor-move" style={{ left: `${c.x}%`, top: `${c.y}%` }} />))}
+          </div>
+        ) : (
+          <div className="relative touch-none cursor-crosshair" style={{ width: dims.w, height: dims.h }} ref={boxRef} onPointerDown={e => { startDrag(e, 'crop'); setCrop(null); }} onPointerMove={moveDrag} onPointerUp={endDrag}>
+            <canvas ref={canvasRef} className="w-full h-full grayscale" />
+            {crop && <div className="absolute border-2 border-green-400 pointer-events-none" style={{ left: `${crop.x}%`, top: `${crop.y}%`, width: `${crop.w}%`, height: `${crop.h}%`, boxShadow: '0 0 0 9999px rgba(2,6,23,0.6)' }} />}
+          </div>
+        )}
+        {busy && <div className="absolute inset-0 z-40 bg-slate-950/60 flex items-center justify-center"><Loader2 className="w-8 h-8 text-cyan-400 animate-spin" /></div>}
+        <div className="absolute top-4 left-4 z-40 bg-slate-950/90 px-3 py-1.5 rounded-lg border border-slate-800 text-[10px] font-black uppercase text-slate-300">{t(`correction.stages.${stage}`)}</div>
+      </div>
+      <div className="flex-none bg-slate-900/50 p-4 rounded-2xl border border-slate-800 flex flex-wrap items-center gap-3">
+        {stage === 'perspective' ? (<>
+          <button onClick={() => setCorners(corners ? null : DEFAULT_CORNERS)} className={`${buttonClass} ${corners ? 'bg-cyan-500 text-slate-950' : 'bg-slate-950 text-slate-500 border border-slate-800'}`}><Maximize2 className="w-3.5 h-3.5" /> {t('correction.sheetCorners')}</button>
+          {corners && <div className="flex bg-slate-950 p-1 rounded-lg border border-slate-800">{Object.keys(SHEET_FORMATS).map(k => (<button key={k} onClick={() => setSheet(k)} className={`px-3 py-1 rounded-md text-[10px] uppercase font-black transition-all ${sheet === k ? 'bg-cyan-500 text-slate-950' : 'text-slate-500'}`}>{t(`correction.sheets.${k}`)}</button>))}</div>}
+          <p className="text-[11px] text-slate-500 flex-1">{corners ? t('correction.hintCorners') : t('correction.hintNoCorners')}</p>
+          <button onClick={continueToAlign} disabled={busy} className={`${buttonClass} bg-white text-slate-950`}>{t('common.next')} <ChevronRight className="w-3.5 h-3.5" /></button>
+        </>) : (<>
+          <button onClick={() => setStage('perspective')} disabled={busy} className={`${buttonClass} text-slate-500 hover:text-white`}>{t('common.back')}</button>
+          <div className="flex items-center gap-2 text-[10px] uppercase font-black text-slate-400">{t('correction.rotation')} <input type="range" min="-180" max="180" step="0.5" value={rotation} onChange={e => rotate(parseFloat(e.target.value))} className="w-40 h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-500" /><span className="text-white font-mono w-12">{rotation}°</span></div>
+          <button onClick={autoRotate} disabled={busy} className={`${buttonClass} bg-cyan-500/10 text-cyan-400`}><Wand2 className="w-3.5 h-3.5" /> {t('correction.axis')}</button>
+          <button onClick={() => rotate(rotation + 180)} disabled={busy} title={t('correction.flip')} className={`${buttonClass} text-slate-500 hover:text-white`}><RotateCw className="w-3.5 h-3.5" /> 180°</button>
+          <div className="w-px h-6 bg-slate-800" />
+          <button onClick={autoCrop} disabled={busy} className={`${buttonClass} bg-cyan-500/10 text-cyan-400`}><Crop className="w-3.5 h-3.5" /> {t('correction.autoCrop')}</button>
+          {crop && <button onClick={() => setCrop(null)} className={`${buttonClass} text-slate-500 hover:text-white`}>{t('correction.removeCrop')}</button>}
+          <div className="flex-1" />
+          <button onClick={() => run(() => onApply({ corners, sheet, rotation, crop }))} disabled={busy} className={`${buttonClass} bg-white text-slate-950`}><CheckCircle className="w-3.5 h-3.5" /> {t('common.apply')}</button>
+        </>)}
+        <button onClick={onCancel} disabled={busy} className={`${buttonClass} text-slate-500 hover:text-white`}>{t('common.cancel')}</button>
+        {error && <p className="w-full text-xs font-bold text-red-400 flex items-center gap-2"><AlertTriangle className="w-4 h-4" /> {error}</p>}
+      </div>
+    </div>
+  );
+};
+
+// --- Kamera-Aufnahme mit Schablone und Live-Rückmeldung ---
+// `openStream` ist austauschbar (z. B. Fake-Stream in Tests); die Punktwolke nutzt denselben Renderer wie FootprintMesh
+const FEEDBACK_INTERVAL = 250;
+
+const CameraCapture = ({ label, sensitivity, contrast, onSensitivityChange, onCapture, onClose, openStream = defaultStreamSource }) => {
+  const videoRef = useRef(null);
+  const overlayHostRef = useRef(null);
+  const overlayRendererRef = useMeshRenderer(overlayHostRef);
+  const containerRef = useRef(null);
+  const [videoSize, setVideoSize] = useState({ w: 0, h: 0 });
+  const [feedback, setFeedback] = useState(null);
+  const [error, setError] = useState(null);
+  const [capturing, setCapturing] = useState(false);
+  const dims = fitDims(useElementSize(containerRef), videoSize);
+
+  useEffect(() => connectStream(openStream, {
+    onStream: (stream) => { videoRef.current.srcObject = stream; return videoRef.current.play(); },
+    onError: (e) => { console.error(e); setError(e.message); }
+  }), [openStream]);
+
+  useEffect(() => {
+    overlayRendererRef.current?.render({ width: Math.round(dims.w), height: Math.round(dims.h), sensitivity, contrast, mode: 'mesh' });
+  }, [dims.w, dims.h, sensitivity, contrast]);
+
+  // Rückmeldung auf kleinem Analysebild im Hauptthread; die Punktwolke bekommt ein auf Anzeigegröße verkleinertes Bild für den Worker
+  useEffect(() => {
+    if (!videoSize.w || !dims.w) return;
+    const timer = setInterval(() => {
+      const video = videoRef.current;
+      if (video.readyState < 2) return;
+      setFeedback(analyzeFrame(video, video.videoWidth, video.videoHeight, { sensitivity, contrast }));
+      createImageBitmap(video, { resizeWidth: Math.round(dims.w), resizeHeight: Math.round(dims.h) })
+        .then(frame => overlayRendererRef.current ? overlayRendererRef.current.setFrame(frame) : frame.close())
+        .catch(e => console.error(e));
+    }, FEEDBACK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [videoSize, dims.w, dims.h, sensitivity, contrast]);
+
+  const capture = () => {
+    setCapturing(true);
+    captureFrame(videoRef.current).then(onCapture).catch(e => { console.error(e); setError(e.message); setCapturing(false); });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-slate-950/95 backdrop-blur-md flex flex-col p-6 gap-4 animate-fadeIn">
+      <div className="flex-none flex items-center justify-between"><h3 className="text-white font-bold text-xl flex items-center gap-3 uppercase"><Camera className="w-5 h-5 text-cyan-400" /> {t('camera.title')} · {label}</h3><button onClick={onClose} className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-900"><X className="w-5 h-5" /></button></div>
+      <div className="flex-1 relative bg-black rounded-[2rem] overflow-hidden border border-slate-800 flex items-center justify-center min-h-0" ref={containerRef}>
+        <div className="relative" style={{ width: dims.w, height: dims.h }}>
+          <video ref={videoRef} muted playsInline onLoadedMetadata={e => setVideoSize({ w: e.target.videoWidth, h: e.target.videoHeight })} className="w-full h-full" />
+          <div ref={overlayHostRef} className="absolute inset-0 pointer-events-none mix-blend-screen" />
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none"><svg viewBox="0 0 40 100" style={{ height: `${GUIDE_HEIGHT * 100}%`, aspectRatio: GUIDE_ASPECT }}><path d={FOOT_OUTLINE_PATH} fill="none" stroke={feedback?.ok ? '#4ade80' : '#ffffff'} strokeWidth="0.6" strokeDasharray="2 1.5" vectorEffect="non-scaling-stroke" /></svg></div>
+        </div>
+        {!videoSize.w && !error && <Loader2 className="absolute w-8 h-8 text-cyan-400 animate-spin" />}
+        {error && <p className="absolute text-sm font-bold text-red-400 flex items-center gap-2"><AlertTriangle className="w-4 h-4" /> {error}</p>}
+      </div>
+      <div className="flex-none bg-slate-900/50 p-4 rounded-2xl border border-slate-800 flex flex-wrap items-center gap-4">
+        {CHECK_KEYS.map(key => { const state = feedback?.checks[key]; return (<div key={key} className={`px-3 py-2 rounded-xl border text-xs font-bold flex items-center gap-2 ${!state ? 'border-slate-800 text-slate-500' : (state === 'ok' ? 'border-green-500/30 bg-green-500/10 text-green-400' : 'border-amber-500/30 bg-amber-500/10 text-amber-400')}`}>{state === 'ok' ? <CheckCircle className="w-4 h-4" /> : <AlertTriangle className="w-4 h-4" />}<span className="uppercase text-[10px] font-black">{t(`camera.checks.${key}.label`)}</span>{state ? t(`camera.checks.${key}.${state}`) : '…'}</div>); })}
+        <div className="flex-1 min-w-[10rem] flex flex-col gap-1"><div className="flex justify-between text-[10px] uppercase text-slate-400 font-black"><span>{t('controls.sensitivity')}</span><span className="text-cyan-400">{sensitivity}%</span></div><input type="range" min="0" max="100" value={sensitivity} onChange={e=>onSensitivityChange(parseInt(e.target.value))} className="w-full h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-500" /></div>
+        <button onClick={capture} disabled={!videoSize.w || capturing} className={`px-8 py-4 rounded-2xl font-black uppercase flex items-center gap-3 transition-all ${feedback?.ok ? 'bg-green-400 text-slate-950 shadow-2xl' : 'bg-white text-slate-950'}`}>{capturing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Camera className="w-5 h-5" />} {t('camera.capture')}</button>
+      </div>
+    </div>
+  );
+};
+
+// --- Statische Vorschau eines analysierten Fußes (Paar-Report) ---
+const FootPreview = ({ foot, label, contrast }) => {
+  const ref = useRef(null);
+  const dims = fitDims(useElementSize(ref), foot.imgNaturalSize);
+
+  return (
+    <div className="relative bg-black rounded-[2rem] overflow-hidden border border-slate-800 flex items-center justify-center min-h-0 h-full" ref={ref}>
+      <div className="relative" style={{ width: dims.w, height: dims.h }}>
+        <img src={foot.image} alt={label} className="w-full h-full" style={{ filter: `grayscale(100%) contrast(${contrast}%) brightness(1.05)` }} />
+        {TOOL_KEYS.map(k => <MeasurementTool key={k} toolKey={k} tool={foot.tools[k]} readOnly />)}
+      </div>
+      <div className="absolute top-4 left-4 z-40 bg-slate-950/90 px-3 py-1.5 rounded-lg border border-slate-800 text-[10px] font-black uppercase text-slate-300">{label}</div>
+    </div>
+  );
+};
+
+// --- Paar-Report: Seitenübersicht und Asymmetrie ---
+const PairSummary = ({ feet }) => (
+  <div className="bg-slate-900/80 p-8 rounded-3xl border border-slate-800 flex-none">
+    <div className="text-[11px] font-black uppercase text-slate-500 flex items-center gap-2 mb-4"><ArrowLeftRight className="w-4 h-4 text-cyan-400"/> {t('pair.title')}</div>
+    <div className="grid grid-cols-2 gap-6">
+      {SIDES.map(side => (
+        <div key={side}>
+          <div className="flex items-center justify-between mb-1"><span className="text-[10px] font-black uppercase text-slate-500">{t(`sides.${side}`)}</span><span className="text-[10px] font-bold text-slate-500 flex items-center gap-1">{feet[side].placement==='manual'?<Move className="w-3 h-3"/>:<Wand2 className="w-3 h-3"/>} {t(`placement.${feet[side].placement}`)}</span></div>
+          <h3 className={`text-2xl font-black ${feet[side].color}`}>{feet[side].name}</h3>
+          <p className="text-slate-400 text-xs">{feet[side].pronation}{feet[side].classification?.borderline && <span className="text-amber-400 font-bold"> · {t('classification.borderline')}</span>}</p>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+const AsymmetryPanel = ({ feet, asymmetry }) => (
+  <div className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner">
+    <div className="text-[10px] font-black text-slate-500 uppercase mb-4">{t('asymmetry.title')}</div>
+    {asymmetry.typeMismatch && <div className="mb-4 bg-amber-500/10 border border-amber-500/30 text-amber-400 rounded-2xl p-4 text-xs font-bold flex items-center gap-3"><AlertTriangle className="w-4 h-4 shrink-0"/>{t('asymmetry.mismatch', { left: feet.left.name, right: feet.right.name })}</div>}
+    <div className="space-y-2 font-mono text-sm">
+      {asymmetry.metrics.map(m => (
+        <div key={m.key} className="grid grid-cols-4 gap-2 items-center">
+          <span className="text-[10px] font-black uppercase text-slate-500 font-sans">{t(`asymmetry.metrics.${m.key}`)}</span>
+          <span className="text-white">{m.left}</span>
+          <span className="text-white">{m.right}</span>
+          <span className={`font-black ${m.flagged ? 'text-amber-400' : 'text-green-400'}`}>Δ {m.diff}%</span>
+        </div>
+      ))}
+    </div>
+    <div className="mt-4 grid grid-cols-2 gap-4">
+      {SIDES.map(side => (
+        <div key={side} className="text-[11px] text-slate-400">{t(`sides.${side}`)}: {feet[side].metrics.archIndex ? `AI ${feet[side].metrics.archIndex}` : ''}{feet[side].metrics.clarkeAngle ? ` · Clarke ${feet[side].metrics.clarkeAngle}°` : ''}</div>
+      ))}
+    </div>
+  </div>
+);
+
+// --- Maße in Millimetern und Größenvorschlag ---
+const LENGTH_METRICS = [{ k: 'footLengthMm', l: 'footLength' }, { k: 'ballWidthMm', l: 'ballWidth' }, { k: 'heelWidthMm', l: 'heelWidth' }];
+const SIZE_METRICS = [{ k: 'sizeEu', l: 'EU' }, { k: 'sizeUk', l: 'UK' }, { k: 'sizeUs', l: 'US' }, { k: 'mondopoint', l: 'Mondo' }];
+
+// `sizeLabel`: eingegebene Schuhgröße im gewählten Größensystem (Maßstab ohne Referenzobjekt).
+// Fußlänge und Größenvorschlag liefert nur ein Referenzobjekt, die Breiten sind sonst aus der Eingabe geschätzt.
+const MeasurementsPanel = ({ metrics, sizeLabel, label }) => (
+  <div className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner">
+    <div className="flex items-center justify-between mb-3"><div className="text-[10px] font-black text-slate-500 uppercase flex items-center gap-2"><Ruler className="w-3.5 h-3.5 text-cyan-400"/> {t('measurements.title')}{label && ` · ${label}`}</div><span className="text-[10px] font-bold text-slate-500">{metrics.scaleSource === 'reference' ? t('measurements.scaleReference') : t('measurements.scaleEstimated', { size: sizeLabel })}</span></div>
+    <div className="grid grid-cols-3 gap-4">{LENGTH_METRICS.filter(m => metrics[m.k]).map(m => (<div key={m.k}><div className="text-[10px] font-black uppercase text-slate-500">{t(`measurements.${m.l}`)}</div><div className="text-xl font-black text-white font-mono">{metrics[m.k]} mm</div></div>))}</div>
+    {metrics.widthFitting && <div className="grid grid-cols-5 gap-3 mt-4 pt-4 border-t border-slate-800">{SIZE_METRICS.filter(m => metrics[m.k]).map(m => (<div key={m.k}><div className="text-[10px] font-black uppercase text-slate-500">{m.l}</div><div className="text-lg font-black text-cyan-400 font-mono">{metrics[m.k]}</div></div>))}<div><div className="text-[10px] font-black uppercase text-slate-500">{t('measurements.width')}</div><div className="text-lg font-black text-cyan-400">{widthLabel(metrics.widthFitting)}</div></div></div>}
+  </div>
+);
+
+// --- Klassifikation: Profilwahl und Begründung ---
+const ProfilePanel = ({ settings, error, onChange }) => {
+  const setLimit = (key, bound, value) => onChange({ ...settings, limits: { ...settings.limits, [key]: { ...settings.limits[key], [bound]: parseFloat(value) } } });
+  return (
+    <div className="-mt-4 mb-8 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 space-y-3">
+      <div className="flex items-center justify-between gap-4"><div className="flex items-center gap-3"><Sliders className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">{t('classification.thresholds')}</span></div><select value={settings.profile} onChange={e=>onChange({ ...settings, profile: e.target.value })} className="bg-slate-900 px-3 py-2 rounded-xl text-white text-xs font-bold">{[...Object.keys(PROFILES), CUSTOM_PROFILE_ID].map(id => <option key={id} value={id}>{profileLabel(id)}</option>)}</select></div>
+      {settings.profile === CUSTOM_PROFILE_ID && (
+        <div className="grid grid-cols-3 gap-2 items-center text-[10px] uppercase font-black text-slate-500">
+          <span></span><span>{voteLabel('flat')}</span><span>{voteLabel('high')}</span>
+          {INDEX_KEYS.map(key => (<React.Fragment key={key}><span>{indexLabel(key)}</span>{['flat','high'].map(bound => (<input key={bound} type="number" step={key === 'clarkeAngle' ? 0.5 : 0.01} value={Number.isFinite(settings.limits[key]?.[bound]) ? settings.limits[key][bound] : ''} onChange={e=>setLimit(key, bound, e.target.value)} className="bg-slate-900 px-2 py-1.5 rounded-lg text-white font-mono text-xs w-full" />))}</React.Fragment>))}
+        </div>
+      )}
+      {error && <p className="text-[11px] font-bold text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+const ClassificationPanel = ({ classification, label }) => (
+  <div className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner">
+    <div className="flex items-center justify-between mb-3"><div className="text-[10px] font-black text-slate-500 uppercase flex items-center gap-2"><Sliders className="w-3.5 h-3.5 text-cyan-400"/> {t('classification.title')}{label && ` · ${label}`} · {profileLabel(classification.profile)}</div><span className="text-[10px] font-bold text-slate-500">{t('classification.confidence')} <span className="text-white font-mono">{Math.round(classification.confidence * 100)}%</span></span></div>
+    <div className="h-1.5 bg-slate-800 rounded-full overflow-hidden mb-4"><div className={`h-full ${classification.confidence >= 0.75 ? 'bg-green-400' : (classification.confidence >= 0.5 ? 'bg-amber-400' : 'bg-red-400')}`} style={{ width: `${classification.confidence * 100}%` }}></div></div>
+    {classification.borderline && <div className="mb-4 bg-amber-500/10 border border-amber-500/30 text-amber-400 rounded-2xl p-3 text-xs font-bold flex items-center gap-3"><AlertTriangle className="w-4 h-4 shrink-0"/>{t('classification.borderlineNote')}</div>}
+    <p className="text-xs text-slate-300 mb-4">{describeDecision(classification)}</p>
+    <table className="w-full text-xs">
+      <thead><tr className="text-[10px] uppercase text-slate-500 text-left">{[t('classification.columns.index'),t('classification.columns.value'),limitLabel('flat'),limitLabel('high'),t('classification.columns.vote')].map(h=><th key={h} className="font-black pb-2 pr-3">{h}</th>)}</tr></thead>
+      <tbody>
+        {classification.indices.map(i => (
+          <tr key={i.key} className={`border-t border-slate-800 ${i.key === classification.driver ? 'text-white font-bold' : 'text-slate-400'}`}>
+            <td className="py-2 pr-3">{indexLabel(i.key)}</td>
+            <td className="py-2 pr-3 font-mono">{formatIndex(i.key, i.value)}</td>
+            {['flat','high'].map(bound => <td key={bound} className="py-2 pr-3 font-mono">{formatIndex(i.key, i.limits[bound])} <span className="text-slate-500">({formatDistance(i.key, i.distance[bound])})</span></td>)}
+            <td className="py-2">{voteLabel(i.vote)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// --- Schuhkatalog: Ranking, Filter und Vergleichstabelle ---
+const MAX_DROP = Math.max(...SHOE_CATALOG.map(e => e.drop));
+
+const ShoeCatalogPanel = ({ category, shoeSize, sizeLabel, suggested, selectedShoe, onSelect, widthFitting }) => {
+  const [filters, setFilters] = useState({ categoryOnly: true, sizeOnly: true, width: widthFitting || 'all', maxDrop: MAX_DROP });
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const ranked = rankCatalog({ category, shoeSize, suggested }).filter(r =>
+    (!filters.categoryOnly || r.categoryMatch) && (!filters.sizeOnly || r.sizeAvailable) &&
+    (filters.width === 'all' || r.entry.widths.includes(filters.width)) && r.entry.drop <= filters.maxDrop);
+
+  return (
+    <div className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner">
+      <div className="flex items-center justify-between mb-4"><div className="text-[10px] font-black text-slate-500 uppercase flex items-center gap-2"><Filter className="w-3.5 h-3.5 text-cyan-400"/> {t('catalog.title')} · {categoryLabel(category)} · {sizeLabel}</div><span className="text-[10px] font-bold text-slate-500">{t('catalog.count', { count: ranked.length, total: SHOE_CATALOG.length })}</span></div>
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {[{k:'categoryOnly',l:t('catalog.only', { label: categoryLabel(category) })},{k:'sizeOnly',l:t('catalog.only', { label: sizeLabel })}].map(f=>(<button key={f.k} onClick={()=>setFilter(f.k, !filters[f.k])} className={`px-3 py-1.5 rounded-lg text-[10px] uppercase font-black transition-all ${filters[f.k]?'bg-cyan-500 text-slate-950':'bg-slate-950 text-slate-500 border border-slate-800'}`}>{f.l}</button>))}
+        <select value={filters.width} onChange={e=>setFilter('width', e.target.value)} className="bg-slate-950 border border-slate-800 px-3 py-1.5 rounded-lg text-[10px] uppercase font-black text-slate-400"><option value="all">{t('catalog.allWidths')}</option>{WIDTHS.map(w=><option key={w} value={w}>{widthLabel(w)}</option>)}</select>
+        <div className="flex items-center gap-2 text-[10px] uppercase font-black text-slate-500">{t('catalog.maxDrop')} <input type="range" min="0" max={MAX_DROP} value={filters.maxDrop} onChange={e=>setFilter('maxDrop', parseInt(e.target.value))} className="w-20 h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-500" /><span className="text-white font-mono">{filters.maxDrop} mm</span></div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead><tr className="text-[10px] uppercase text-slate-500 text-left">{[...['model','category','drop','stack','weight','widths'].map(c=>t(`catalog.columns.${c}`)),sizeLabel].map(h=><th key={h} className="font-black pb-2 pr-3">{h}</th>)}</tr></thead>
+          <tbody>
+            {ranked.map(({ entry, sizeAvailable, suggested: isSuggested }) => (
+              <tr key={entry.id} onClick={()=>onSelect(entry)} className={`cursor-pointer border-t border-slate-800 transition-all ${selectedShoe?.id===entry.id?'bg-cyan-500/10 text-white':'text-slate-300 hover:bg-slate-950'}`}>
+                <td className="py-2 pr-3 font-bold whitespace-nowrap">{isSuggested && <Sparkles className="inline w-3 h-3 text-cyan-400 mr-1.5"/>}{entry.name}</td>
+                <td className="py-2 pr-3">{categoryLabel(entry.category)}</td>
+                <td className="py-2 pr-3 font-mono">{entry.drop} mm</td>
+                <td className="py-2 pr-3 font-mono">{entry.stack} mm</td>
+                <td className="py-2 pr-3 font-mono">{entry.weight} g</td>
+                <td className="py-2 pr-3">{entry.widths.map(widthLabel).join(', ')}</td>
+                <td className="py-2">{sizeAvailable?<CheckCircle className="w-4 h-4 text-green-400"/>:<span className="text-slate-600">–</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!ranked.length && <p className="text-slate-500 text-xs py-4">{t('catalog.empty')}</p>}
+      </div>
+    </div>
+  );
+};
+
+// --- Verlauf: CSI/SI-Kurve eines Athleten ---
+const TREND_SERIES = [
+  { key: 'csi', label: 'CSI', color: '#22d3ee' },
+  { key: 'si', label: 'SI', color: '#c084fc' }
+];
+
+const TrendChart = ({ entries }) => {
+  const points = [...entries].sort((a, b) => a.createdAt - b.createdAt).map(e => ({ date: e.createdAt, ...entryIndices(e) }));
+  if (points.length < 2) return <p className="text-slate-500 text-sm">{t('history.needTwo')}</p>;
+  const W = 600, H = 260, P = 36;
+  const maxV = Math.max(1, ...points.flatMap(p => [p.csi, p.si]));
+  const span = (points[points.length - 1].date - points[0].date) || 1;
+  const x = (d) => P + ((d - points[0].date) / span) * (W - 2 * P);
+  const y = (v) => H - P - (v / maxV) * (H - 2 * P);
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => f * maxV);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full">
+        {ticks.map(v => <g key={v}><line x1={P} x2={W - P} y1={y(v)} y2={y(v)} stroke="#1e293b" /><text x={P - 6} y={y(v) + 3} textAnchor="end" fontSize="10" fill="#64748b">{v.toFixed(2)}</text></g>)}
+        {TREND_SERIES.map(s => (
+          <g key={s.key}>
+            <polyline fill="none" stroke={s.color} strokeWidth="2" points={points.map(p => `${x(p.date)},${y(p[s.key])}`).join(' ')} />
+            {points.map(p => <circle key={p.date} cx={x(p.date)} cy={y(p[s.key])} r="4" fill={s.color}><title>{`${formatDate(p.date)} · ${s.label} ${p[s.key].toFixed(2)}`}</title></circle>)}
+          </g>
+        ))}
+        <text x={P} y={H - 10} fontSize="10" fill="#64748b">{formatDate(points[0].date)}</text>
+        <text x={W - P} y={H - 10} textAnchor="end" fontSize="10" fill="#64748b">{formatDate(points[points.length - 1].date)}</text>
+      </svg>
+      <div className="flex gap-6 mt-2">{TREND_SERIES.map(s => <span key={s.key} className="text-[10px] font-black uppercase flex items-center gap-2 text-slate-400"><span className="w-3 h-1 rounded-full" style={{ background: s.color }}></span>{s.label}</span>)}</div>
+    </div>
+  );
+};
+
+const HistoryView = ({ entries, sizeSystem, onOpen, onDelete }) => {
+  const athletes = [...new Set(entries.map(e => e.athlete))];
+  const [athlete, setAthlete] = useState(null);
+  const selected = athletes.includes(athlete) ? athlete : athletes[0];
+  const athleteEntries = entries.filter(e => e.athlete === selected);
+
+  if (!entries.length) return <div className="flex-1 flex flex-col items-center justify-center gap-4 text-slate-500"><History className="w-10 h-10" /><p className="font-bold">{t('history.empty')}</p></div>;
+  return (
+    <div className="animate-fadeIn w-full h-full grid grid-cols-1 lg:grid-cols-12 gap-8 overflow-hidden">
+      <div className="lg:col-span-5 flex flex-col min-h-0 bg-slate-900/80 p-8 rounded-3xl border border-slate-800">
+        <h3 className="text-white font-bold text-xl flex items-center gap-3 uppercase mb-6"><History className="w-5 h-5 text-cyan-400" /> {t('history.title')}</h3>
+        <div className="mb-6 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 flex items-center justify-between gap-4"><div className="flex items-center gap-3"><Users className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">{t('history.athlete')}</span></div><select value={selected} onChange={e=>setAthlete(e.target.value)} className="bg-slate-900 px-4 py-2 rounded-xl text-white font-bold text-sm">{athletes.map(a => <option key={a} value={a}>{a}</option>)}</select></div>
+        <div className="flex-1 overflow-y-auto space-y-3 pr-2 custom-scrollbar">
+          {athleteEntries.map(entry => {
+            const stored = hydrateResult(entry.result);
+            const indices = entryIndices(entry);
+            const preview = entry.feet.single || entry.feet.left;
+            return (
+              <div key={entry.id} className="bg-slate-950 p-4 rounded-2xl border border-slate-800 flex items-center gap-4">
+                <img src={preview.thumbnail} alt="" className="w-12 h-16 object-cover rounded-lg grayscale" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-[10px] font-black uppercase text-slate-500">{formatDate(entry.createdAt)} · {formatSize(entry.shoeSize, sizeSystem)}{entry.pairMode && ' · L+R'}</div>
+                  <div className={`font-bold truncate ${stored.color}`}>{stored.feet && hasOpposingTypes(stored.feet.left, stored.feet.right) ? `${stored.feet.left.name} / ${stored.feet.right.name}` : stored.name}</div>
+                  <div className="text-[11px] font-mono text-slate-400">{entry.pairMode && 'Ø '}CSI {indices.csi.toFixed(2)} · SI {indices.si.toFixed(2)}</div>
+                </div>
+                <button onClick={()=>onOpen(entry)} title={t('history.open')} className="p-2 rounded-lg text-slate-400 hover:text-cyan-400 hover:bg-slate-900"><Eye className="w-4 h-4" /></button>
+                <button onClick={()=>onDelete(entry.id)} title={t('history.delete')} className="p-2 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-900"><Trash2 className="w-4 h-4" /></button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="lg:col-span-7 bg-slate-900/80 p-8 rounded-3xl border border-slate-800 overflow-y-auto">
+        <div className="text-[11px] font-black uppercase text-slate-500 mb-6">{t('history.trend', { athlete: selected })}</div>
+        <TrendChart entries={athleteEntries} />
+      </div>
+    </div>
+  );
 };
 
 // --- Hauptkomponente ---
@@ -131,6 +768,8 @@ export default function App() {
   const [image, setImage] = useState(null);
   const [imgNaturalSize, setImgNaturalSize] = useState({ w: 0, h: 0 }); 
   const [shoeSize, setShoeSize] = useState(42); 
+  const [language, setLanguageState] = useState(getLanguage);
+  const [sizeSystem, setSizeSystem] = useState(defaultSizeSystem);
   const [result, setResult] = useState(null);
   const [highContrastMode, setHighContrastMode] = useState(false);
   const [isScanning, setIsScanning] = useState(false);
@@ -140,12 +779,25 @@ export default function App() {
   const [imageContrast, setImageContrast] = useState(130); 
   const [aiLoading, setAiLoading] = useState(false);
   const [aiData, setAiData] = useState(null);
+  const [aiStatus, setAiStatus] = useState(null);
   const [selectedShoe, setSelectedShoe] = useState(null); 
-  const [tools, setTools] = useState({
-    forefoot: { y: 25, x: 20, width: 60 },
-    arch: { y: 50, x: 35, width: 30 },
-    heel: { y: 80, x: 30, width: 40 }
-  });
+  const [tools, setTools] = useState(DEFAULT_TOOLS);
+  const [placement, setPlacement] = useState('default');
+  const [calibration, setCalibration] = useState(DEFAULT_CALIBRATION);
+  const [markingReference, setMarkingReference] = useState(false);
+  const [original, setOriginal] = useState(null);
+  const [correction, setCorrection] = useState(null);
+  const [correcting, setCorrecting] = useState(false);
+  const [profileSettings, setProfileSettings] = useState(loadProfileSettings);
+  const [cameraTarget, setCameraTarget] = useState(null);
+  const [pairMode, setPairMode] = useState(false);
+  const [activeSide, setActiveSide] = useState('left');
+  const [pairedFeet, setPairedFeet] = useState(EMPTY_PAIR);
+  const [athlete, setAthlete] = useState('');
+  const [view, setView] = useState('analysis');
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [archivedEntry, setArchivedEntry] = useState(null);
+  const [importError, setImportError] = useState(null);
 
   const containerRef = useRef(null);
   const [containerSize, setContainerSize] = useState({ w: 0, h: 0 });
@@ -158,46 +810,181 @@ export default function App() {
     if (containerRef.current) observer.observe(containerRef.current);
     updateSize();
     return () => { window.removeEventListener('resize', updateSize); observer.disconnect(); };
-  }, [step]); 
+  }, [step, correcting]); 
+
+  const fittedDims = fitDims(containerSize, imgNaturalSize);
+
+  let activeProfile = null, profileError = null;
+  try { activeProfile = resolveProfile(profileSettings.profile, profileSettings.limits); } catch (e) { profileError = e.message; }
 
-  const getFittedDims = () => {
-    if (!containerSize.w || !imgNaturalSize.w) return { w: 0, h: 0 };
-    const cR = containerSize.w / containerSize.h;
-    const iR = imgNaturalSize.w / imgNaturalSize.h;
-    return iR > cR ? { w: containerSize.w, h: containerSize.w / iR } : { h: containerSize.h, w: containerSize.h * iR };
+  useEffect(() => {
+    try { localStorage.setItem(CUSTOM_PROFILE_STORAGE_KEY, JSON.stringify(profileSettings)); } catch (e) { console.error(e); }
+  }, [profileSettings]);
+  const { zoom, resetZoom, handlers: panZoomHandlers } = usePanZoom(containerRef, fittedDims, { enabled: step >= 2 && !correcting && !(step === 3 && result?.feet), resetKey: image });
+
+  useEffect(() => { document.documentElement.lang = language; }, [language]);
+
+  // Sprachwechsel: Ergebnistexte neu aus dem Katalog laden, das Größensystem der Sprache übernehmen und die
+  // regelbasierte Empfehlung neu erzeugen; KI-Texte bleiben erhalten und werden als anderssprachig markiert
+  const changeLanguage = (next) => {
+    setLanguage(next);
+    setLanguageState(next); setSizeSystem(defaultSizeSystem(next));
+    const localized = relocalizeResult(result);
+    setResult(localized);
+    setPairedFeet(prev => Object.fromEntries(SIDES.map(side => [side, prev[side] && { ...prev[side], result: relocalizeResult(prev[side].result) }])));
+    if (!localized) return;
+    if (lastAiRequest.current) lastAiRequest.current = aiRequestFor(localized);
+    if (!aiData || aiStatus?.provider !== 'rules') return;
+    const token = aiRequestToken.current;
+    requestRecommendation(aiRequestFor(localized), { provider: 'rules' }).then(({ data }) => {
+      if (token !== aiRequestToken.current || !data) return;
+      const status = { ...aiStatus, language: next };
+      setAiData(data); setAiStatus(status);
+      updateHistoryEntry({ data, status });
+    });
   };
-  const fittedDims = getFittedDims();
 
-  const getShoeName = (shoe) => shoe ? (typeof shoe === 'string' ? shoe : (shoe.name || shoe.model || 'Laufschuh')) : '';
+  // Eingabe im gewählten Größensystem; gespeichert wird immer die EU-Größe
+  const sizeLabel = formatSize(shoeSize, sizeSystem);
+  const recommendation = result && recommendationTitle(result);
+  const changeShoeSize = (value) => {
+    const size = parseFloat(value);
+    if (Number.isFinite(size)) setShoeSize(convertSize(size, sizeSystem, 'eu'));
+  };
+
+  const getShoeName = (shoe) => shoe ? (typeof shoe === 'string' ? shoe : (shoe.name || shoe.model || t('recommendation.fallbackShoe'))) : '';
+
+  // Provider-Schicht (aiProviders.js) wählt Gemini, OpenAI-kompatibel oder regelbasiert.
+  // Nur die zuletzt gestartete Anfrage darf den Zustand setzen; ältere Antworten gehen nur noch in den Verlauf.
+  const lastAiRequest = useRef(null);
+  const aiRequestToken = useRef(0);
+  const fetchAiRecommendation = async ({ analysis, diagnosis, feet }) => {
+    lastAiRequest.current = { analysis, diagnosis, feet };
+    const token = ++aiRequestToken.current;
+    const language = getLanguage();
+    setAiLoading(true); setAiData(null); setAiStatus(null); setSelectedShoe(null);
+    const system = t('ai.system');
+    const prompt = `${t('ai.prompt', { analysis, size: sizeLabel })} JSON: {explanation: str, shoes: [str,str,str], exercise: {name: str, instruction: str}}`;
+
+    const { data, ...response } = await requestRecommendation({ system, prompt, diagnosis, feet });
+    const status = { ...response, language };
+    if (token !== aiRequestToken.current) return { data, status, current: false };
+    setAiData(data); setAiStatus(status); setAiLoading(false);
+    if (data) setSelectedShoe(matchCatalogEntry(data.shoes[0]) || data.shoes[0]);
+    return { data, status, current: true };
+  };
 
-  const fetchGeminiAnalysis = async (diagnosis, csi, si) => {
-    setAiLoading(true);
-    const apiKey = ""; // HIER API KEY EINTRAGEN (Lokal: import.meta.env.VITE_GEMINI_KEY)
-    const systemPrompt = "Sportorthopäde. JSON Output.";
-    const userPrompt = `Analyse: ${diagnosis.name}, Gr: ${shoeSize}, CSI: ${csi}, SI: ${si}. JSON: {explanation: str, shoes: [str,str,str], exercise: {name: str, instruction: str}}`;
+  // Verlaufseintrag der angezeigten Analyse (Promise auf die ID). Spätere Empfehlungen (Erneut, Neu anfordern,
+  // Sprachwechsel) werden dort nachgetragen, damit der Verlauf zeigt, was zuletzt zu sehen war.
+  const historyEntry = useRef(null);
+  const updateHistoryEntry = ({ data, status }) => {
+    const entry = historyEntry.current;
+    if (entry) entry.then(id => id != null && updateAnalysis(id, { aiData: data, aiStatus: status })).catch(e => console.error(e));
+  };
+  const refreshAiRecommendation = (request) => fetchAiRecommendation(request).then(ai => { if (ai.current) updateHistoryEntry(ai); });
 
+  const persistAnalysis = async (analysisResult, feetRecords, { data: ai, status: aiState }) => {
     try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`, {
-        method: "POST", headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ contents: [{ parts: [{ text: userPrompt }] }], systemInstruction: { parts: [{ text: systemPrompt }] }, generationConfig: { responseMimeType: "application/json" } })
-      });
-      const data = await response.json();
-      const content = JSON.parse(data.candidates[0].content.parts[0].text);
-      setAiData(content);
-      if (content.shoes?.length > 0) setSelectedShoe(content.shoes[0]);
-    } catch (e) { console.error(e); } finally { setAiLoading(false); }
+      const feet = {};
+      for (const [side, foot] of Object.entries(feetRecords)) {
+        // Vollbild (und Original vor der Korrektur) für Export und exaktes Wiederöffnen, das Vorschaubild nur für die Liste
+        feet[side] = { image: foot.image, original: foot.original, thumbnail: await createThumbnail(foot.image), imgNaturalSize: foot.imgNaturalSize, tools: foot.tools, placement: foot.placement, calibration: foot.calibration, correction: foot.correction };
+      }
+      return await saveAnalysis({ athlete: athlete.trim() || t('history.unnamed'), shoeSize, pairMode: !!analysisResult.feet, feet, result: serializeResult(analysisResult), aiData: ai, aiStatus: aiState });
+    } catch (e) { console.error(e); return null; }
+  };
+
+  useEffect(() => {
+    if (view !== 'history') return;
+    listAnalyses().then(setHistoryEntries).catch(e => console.error(e));
+  }, [view]);
+
+  const removeHistoryEntry = (id) => {
+    deleteAnalysis(id).then(() => setHistoryEntries(prev => prev.filter(e => e.id !== id))).catch(e => console.error(e));
+  };
+
+  // Gespeicherte oder importierte Analysen öffnen direkt im (schreibgeschützten) Report
+  const restoreAnalysis = (snapshot, archived = null) => {
+    const stored = hydrateResult(snapshot.result);
+    lastAiRequest.current = null;
+    aiRequestToken.current++;
+    historyEntry.current = archived ? Promise.resolve(archived.id) : null;
+    const toFoot = (f, footResult = null) => ({ image: f.image || f.thumbnail, imgNaturalSize: f.imgNaturalSize, tools: f.tools, placement: f.placement, calibration: f.calibration, original: f.original, correction: f.correction ?? DEFAULT_CORRECTION, result: footResult });
+    setPairMode(snapshot.pairMode);
+    if (snapshot.pairMode) {
+      setPairedFeet({ left: toFoot(snapshot.feet.left, stored.feet.left), right: toFoot(snapshot.feet.right, stored.feet.right) });
+      loadFoot(toFoot(snapshot.feet.left));
+    } else {
+      setPairedFeet(EMPTY_PAIR);
+      loadFoot(toFoot(snapshot.feet.single));
+    }
+    if (snapshot.settings) { setMeshSensitivity(snapshot.settings.sensitivity); setImageContrast(snapshot.settings.contrast); setDisplayMode(snapshot.settings.displayMode); }
+    setResult(stored); setShoeSize(snapshot.shoeSize); setAthlete(snapshot.athlete);
+    setAiData(snapshot.aiData); setAiStatus(snapshot.aiStatus ?? null); setSelectedShoe(snapshot.selectedShoe ?? snapshot.aiData?.shoes?.[0] ?? null); setAiLoading(false);
+    setArchivedEntry(archived); setHighContrastMode(false); setStep(3); setView('analysis');
+  };
+
+  const openHistoryEntry = (entry) => restoreAnalysis(entry, entry);
+
+  // --- Export / Import ---
+  const analysisSnapshot = () => {
+    const strip = (foot) => ({ image: foot.image, imgNaturalSize: foot.imgNaturalSize, tools: foot.tools, placement: foot.placement, calibration: foot.calibration, original: foot.original, correction: foot.correction });
+    return {
+      athlete, shoeSize, pairMode: !!result.feet,
+      feet: result.feet ? { left: strip(pairedFeet.left), right: strip(pairedFeet.right) } : { single: strip(activeFoot()) },
+      result: serializeResult(result), aiData, aiStatus, selectedShoe,
+      settings: { sensitivity: meshSensitivity, contrast: imageContrast, displayMode }
+    };
+  };
+
+  // Ältere Verlaufseinträge enthalten nur das Vorschaubild; ein Export daraus ließe sich nicht originalgetreu importieren
+  const jsonExportable = !archivedEntry || Object.values(archivedEntry.feet).every(f => f.image);
+
+  const exportReport = () => {
+    const sides = result.feet
+      ? SIDES.map(side => ({ label: t(`sides.${side}`), foot: pairedFeet[side], result: result.feet[side] }))
+      : [{ label: null, foot: { image, tools }, result }];
+    printReport(async () => buildReportHtml({
+      title: t('report.title'),
+      date: formatDate(archivedEntry?.createdAt ?? Date.now()),
+      athlete: athlete.trim(), shoeSize: sizeLabel,
+      recommendation: [recommendation.title, recommendation.detail].filter(Boolean).join(' · '),
+      feet: await Promise.all(sides.map(async s => ({ label: s.label, result: s.result, image: await renderAnnotatedImage(s.foot) }))),
+      asymmetry: result.asymmetry && { typeMismatch: result.asymmetry.typeMismatch, rows: result.asymmetry.metrics.map(m => ({ ...m, label: t(`asymmetry.metrics.${m.key}`) })) },
+      aiData, aiLanguage: aiStatus?.language, shoes: aiData?.shoes?.map(getShoeName), selectedShoe: getShoeName(selectedShoe)
+    }), 'stridelab-report.html').catch(e => console.error(e));
+  };
+
+  const importAnalysis = (file) => {
+    if (!file) return;
+    setImportError(null);
+    readAnalysisJson(file).then(snapshot => restoreAnalysis(snapshot)).catch(e => setImportError(e instanceof SyntaxError ? t('upload.invalidJson') : e.message));
   };
 
+  // Landmarken-Erkennung setzt die Balken, solange der Nutzer sie nicht manuell verschoben hat
+  const autoPlacement = placement !== 'manual';
+  useEffect(() => {
+    if (step !== 2 || !image || !autoPlacement || correcting) return;
+    let cancelled = false;
+    locateLandmarks(image, { sensitivity: meshSensitivity, contrast: imageContrast }).then((landmarks) => {
+      if (cancelled) return;
+      setTools(landmarks || DEFAULT_TOOLS);
+      setPlacement(landmarks ? 'auto' : 'default');
+    }).catch(e => console.error(e));
+    return () => { cancelled = true; };
+  }, [step, image, meshSensitivity, imageContrast, autoPlacement, correcting]);
+
   const handlePointerDown = (e, toolName, action) => {
     if (isScanning) return;
+    e.stopPropagation();
     setDragState({ toolName, action, startX: e.clientX, startY: e.clientY, initialToolState: { ...tools[toolName] } });
   };
 
   useEffect(() => {
     const handleMove = (e) => {
       if (!dragState || !fittedDims.w) return;
-      const deltaXPct = ((e.clientX - dragState.startX) / fittedDims.w) * 100;
-      const deltaYPct = ((e.clientY - dragState.startY) / fittedDims.h) * 100;
+      const deltaXPct = ((e.clientX - dragState.startX) / (fittedDims.w * zoom.scale)) * 100;
+      const deltaYPct = ((e.clientY - dragState.startY) / (fittedDims.h * zoom.scale)) * 100;
       let next = { ...tools[dragState.toolName] };
       if (dragState.action === 'move') {
         next.x = Math.min(Math.max(dragState.initialToolState.x + deltaXPct, 0), 100 - next.width);
@@ -210,109 +997,201 @@ export default function App() {
         if (potentialW >= 5 && potentialX >= 0) { next.x = potentialX; next.width = potentialW; }
       }
       setTools(prev => ({ ...prev, [dragState.toolName]: next }));
+      setPlacement('manual');
     };
     const handleUp = () => setDragState(null);
     if (dragState) { window.addEventListener('pointermove', handleMove); window.addEventListener('pointerup', handleUp); }
     return () => { window.removeEventListener('pointermove', handleMove); window.removeEventListener('pointerup', handleUp); };
-  }, [dragState, tools, fittedDims]);
+  }, [dragState, tools, fittedDims, zoom.scale]);
 
-  const processFile = (file) => {
+  const processFile = (file, side) => {
+    if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => { setImgNaturalSize({ w: img.width, h: img.height }); setImage(e.target.result); setStep(2); setHighContrastMode(true); };
+      img.onload = () => {
+        const size = { w: img.width, h: img.height };
+        if (side) { setPairedFeet(prev => ({ ...prev, [side]: { image: e.target.result, imgNaturalSize: size, original: { image: e.target.result, size }, correction: null, tools: DEFAULT_TOOLS, placement: 'default', calibration: { ...calibration, points: [] }, result: null } })); return; }
+        setImgNaturalSize(size); setImage(e.target.result); setOriginal({ image: e.target.result, size }); setCorrection(null); setCorrecting(true); setPlacement('default'); setCalibration(prev => ({ ...prev, points: [] })); setStep(2); setHighContrastMode(true);
+      };
       img.src = e.target.result;
     };
     reader.readAsDataURL(file);
   };
 
+  // Paar-Modus: die aktive Seite liegt in den normalen States, die andere in pairedFeet.
+  // Ein Fuß ohne `correction` wurde noch nicht vorverarbeitet und öffnet die Bildkorrektur.
+  const activeFoot = () => ({ image, imgNaturalSize, tools, placement, calibration, original, correction });
+
+  const loadFoot = (foot) => { setImage(foot.image); setImgNaturalSize(foot.imgNaturalSize); setOriginal(foot.original || { image: foot.image, size: foot.imgNaturalSize }); setCorrection(foot.correction); setCorrecting(!foot.correction); setTools(foot.tools); setPlacement(foot.placement); setCalibration(foot.calibration || DEFAULT_CALIBRATION); setMarkingReference(false); };
+
+  const switchSide = (side) => {
+    if (side === activeSide) return;
+    setPairedFeet(prev => ({ ...prev, [activeSide]: { ...prev[activeSide], ...activeFoot() } }));
+    loadFoot(pairedFeet[side]); setActiveSide(side);
+  };
+
+  const startPairCalibration = () => { loadFoot(pairedFeet.left); setActiveSide('left'); setStep(2); setHighContrastMode(true); };
+
+  // Referenzobjekt: zwei Klicks auf die Enden der bekannten Strecke (in Prozent der Bildgröße)
+  const startReferenceMarking = () => { setCalibration(prev => ({ ...prev, points: [] })); setMarkingReference(true); };
+
+  const handleReferenceClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const point = { x: ((e.clientX - rect.left) / rect.width) * 100, y: ((e.clientY - rect.top) / rect.height) * 100 };
+    const points = [...calibration.points, point].slice(-2);
+    setCalibration(prev => ({ ...prev, points }));
+    if (points.length === 2) setMarkingReference(false);
+  };
+
+  const selectReference = (reference) => setCalibration(prev => ({ ...prev, reference, referenceMm: REFERENCE_OBJECTS[reference].mm ?? prev.referenceMm }));
+
+  // Korrektur wird immer auf das Originalbild angewendet; die Balken und Referenzpunkte gelten danach nicht mehr
+  const applyImageCorrection = async (next) => {
+    const corrected = isCorrected(next) ? await applyCorrection(original.image, next) : original;
+    setImage(corrected.image); setImgNaturalSize(corrected.size); setCorrection(next); setCorrecting(false);
+    setPlacement('default'); setCalibration(prev => ({ ...prev, points: [] })); setMarkingReference(false);
+  };
+
+  const cancelImageCorrection = () => { setCorrection(prev => prev ?? DEFAULT_CORRECTION); setCorrecting(false); };
+
+  const resetAnalysis = () => { aiRequestToken.current++; historyEntry.current = null; setStep(1); setPairedFeet(EMPTY_PAIR); setArchivedEntry(null); setView('analysis'); };
+
   const startAnalysis = () => {
     setIsScanning(true); setScanProgress(0);
     const interval = setInterval(() => setScanProgress(p => p >= 100 ? (clearInterval(interval), 100) : p + 2), 25);
-    setTimeout(() => {
+    const contact = measureContactArea(image, { sensitivity: meshSensitivity, contrast: imageContrast }).catch(e => { console.error(e); return null; });
+    Promise.all([contact, new Promise(resolve => setTimeout(resolve, 1800))]).then(([area]) => {
       const csi = tools.arch.width / tools.forefoot.width;
       const si = tools.arch.width / tools.heel.width;
-      const typeKey = (csi >= 0.55 || si >= 0.75) ? 'flat' : ((csi <= 0.25 || si <= 0.4) ? 'high' : 'neutral');
-      const diag = FOOT_TYPES[typeKey];
-      setResult({ ...diag, metrics: { csi: csi.toFixed(2), si: si.toFixed(2) } });
-      setStep(3); setHighContrastMode(false); setIsScanning(false);
-      fetchGeminiAnalysis(diag, csi.toFixed(2), si.toFixed(2));
-    }, 1800);
-  };
-
-  const MeasurementTool = ({ toolKey, colorClass, borderClass, bgClass, label, readOnly = false }) => {
-    const tool = tools[toolKey];
-    return (
-      <div className="absolute h-10 flex items-center touch-none transition-all duration-75" style={{ top: `${tool.y}%`, left: `${tool.x}%`, width: `${tool.width}%`, transform: 'translateY(-50%)', zIndex: 30 }}>
-        <div className={`relative w-full h-full border-2 ${borderClass} ${bgClass} backdrop-blur-[1px] flex items-center justify-between shadow-lg`}>
-          {!readOnly && <div className="w-8 h-full cursor-ew-resize hover:bg-white/20 z-20 flex items-center justify-center" onPointerDown={(e) => handlePointerDown(e, toolKey, 'resize-left')}><div className={`w-1 h-4 rounded-full ${colorClass.replace('text-', 'bg-')}`}></div></div>}
-          <div className={`flex-1 h-full flex items-center justify-center ${!readOnly ? 'cursor-move hover:bg-white/10' : ''}`} onPointerDown={(e) => !readOnly && handlePointerDown(e, toolKey, 'move')}><div className={`px-3 py-1 rounded-md bg-slate-950/90 border ${borderClass} text-[10px] font-mono ${colorClass} font-bold tracking-wider flex items-center gap-2 select-none shadow-xl`}>{!readOnly && <Move className="w-3.5 h-3.5" />} {label}</div></div>
-          {!readOnly && <div className="w-8 h-full cursor-ew-resize hover:bg-white/20 z-20 flex items-center justify-center" onPointerDown={(e) => handlePointerDown(e, toolKey, 'resize-right')}><div className={`w-1 h-4 rounded-full ${colorClass.replace('text-', 'bg-')}`}></div></div>}
-        </div>
-      </div>
-    );
+      const classification = classifyFoot({ csi, si, archIndex: area?.archIndex, clarkeAngle: area?.clarkeAngle }, activeProfile);
+      const diag = footType(classification.type);
+      const metrics = { csi: csi.toFixed(2), si: si.toFixed(2) };
+      if (area) {
+        const ofLength = (w) => ((w / area.footLength) * 100).toFixed(1);
+        Object.assign(metrics, {
+          archIndex: area.archIndex.toFixed(2),
+          clarkeAngle: area.clarkeAngle != null ? area.clarkeAngle.toFixed(1) : null,
+          forefootWidth: ofLength(area.forefootWidth),
+          midfootWidth: ofLength(area.midfootWidth),
+          heelWidth: ofLength(area.heelWidth),
+          footLength: ((area.footLength / Math.max(area.resolution.width, area.resolution.height)) * 100).toFixed(1)
+        });
+      }
+      Object.assign(metrics, measureInMillimetres({ area, tools, naturalSize: imgNaturalSize, calibration, shoeSize }));
+      const footResult = { ...diag, placement, metrics, classification };
+      if (!pairMode) {
+        setResult(footResult);
+        setStep(3); setHighContrastMode(false); setIsScanning(false);
+        historyEntry.current = fetchAiRecommendation(aiRequestFor(footResult)).then(ai => persistAnalysis(footResult, { single: activeFoot() }, ai));
+        return;
+      }
+      const feet = { ...pairedFeet, [activeSide]: { ...activeFoot(), result: footResult } };
+      setPairedFeet(feet); setIsScanning(false);
+      if (!feet[OTHER_SIDE[activeSide]].result) { loadFoot(feet[OTHER_SIDE[activeSide]]); setActiveSide(OTHER_SIDE[activeSide]); return; }
+      const asymmetry = compareFeet(feet.left.result, feet.right.result);
+      const pairResult = { ...footType(asymmetry.recommended), feet: { left: feet.left.result, right: feet.right.result }, asymmetry };
+      setResult(pairResult);
+      setStep(3); setHighContrastMode(false);
+      historyEntry.current = fetchAiRecommendation(aiRequestFor(pairResult)).then(ai => persistAnalysis(pairResult, { left: feet.left, right: feet.right }, ai));
+    });
   };
 
   return (
     <div className="h-screen bg-slate-950 text-slate-100 font-sans flex flex-col overflow-hidden">
       <header className="border-b border-slate-800 bg-slate-950/80 backdrop-blur-md sticky top-0 z-50 flex-none px-6 h-16 flex items-center justify-between">
         <div className="flex items-center gap-3"><div className="p-2 bg-cyan-500/10 rounded-lg"><Footprints className="text-cyan-400 w-6 h-6" /></div><span className="text-xl font-bold">StrideLab.ai</span></div>
-        {step > 1 && !isScanning && <button onClick={() => setStep(1)} className="bg-slate-900 px-4 py-2 rounded-lg text-xs font-bold text-slate-400 border border-slate-800 flex items-center gap-2"><RotateCcw className="w-4 h-4" /> RESET</button>}
+        <div className="flex items-center gap-2">
+          <label title={t('header.language')} className="bg-slate-900 px-3 py-2 rounded-lg text-xs font-bold text-slate-400 border border-slate-800 flex items-center gap-2"><Languages className="w-4 h-4" /><select value={language} onChange={e=>changeLanguage(e.target.value)} className="bg-transparent font-bold outline-none cursor-pointer">{Object.entries(LANGUAGES).map(([k,l])=><option key={k} value={k} className="bg-slate-900">{l.label}</option>)}</select></label>
+          {!isScanning && <button onClick={() => setView(view === 'history' ? 'analysis' : 'history')} className={`px-4 py-2 rounded-lg text-xs font-bold border flex items-center gap-2 ${view === 'history' ? 'bg-cyan-500 text-slate-950 border-cyan-400' : 'bg-slate-900 text-slate-400 border-slate-800'}`}><History className="w-4 h-4" /> {t('header.history')}</button>}
+          {step > 1 && !isScanning && <button onClick={resetAnalysis} className="bg-slate-900 px-4 py-2 rounded-lg text-xs font-bold text-slate-400 border border-slate-800 flex items-center gap-2"><RotateCcw className="w-4 h-4" /> {t('header.reset')}</button>}
+        </div>
       </header>
       <main className="flex-1 w-full max-w-[98%] mx-auto px-6 py-4 overflow-hidden flex flex-col">
-        {step === 1 && (
+        {cameraTarget && <CameraCapture label={cameraTarget === 'single' ? t('camera.footprint') : t(`footSides.${cameraTarget}`)} sensitivity={meshSensitivity} contrast={imageContrast} onSensitivityChange={setMeshSensitivity} onCapture={file=>{ processFile(file, cameraTarget === 'single' ? undefined : cameraTarget); setCameraTarget(null); }} onClose={()=>setCameraTarget(null)} />}
+        {view === 'history' && <HistoryView entries={historyEntries} sizeSystem={sizeSystem} onOpen={openHistoryEntry} onDelete={removeHistoryEntry} />}
+        {view === 'analysis' && step === 1 && (
           <div className="flex-1 flex flex-col items-center justify-center animate-fadeIn space-y-8">
-            <div className="text-center max-w-2xl"><h1 className="text-5xl font-extrabold bg-gradient-to-r from-white to-slate-400 bg-clip-text text-transparent">Abdruckanalyse</h1></div>
-            <div className="w-full max-w-2xl aspect-video border-2 border-dashed border-slate-800 rounded-3xl bg-slate-900/40 hover:border-cyan-500/50 flex flex-col items-center justify-center cursor-pointer group relative overflow-hidden transition-all" onDragOver={e=>e.preventDefault()} onDrop={e=>{e.preventDefault(); processFile(e.dataTransfer.files[0])}}>
-              <input type="file" className="absolute inset-0 opacity-0" onChange={e=>processFile(e.target.files[0])} accept="image/*" />
-              <div className="flex flex-col items-center gap-6 group-hover:scale-110 transition-transform"><div className="p-6 bg-slate-800 rounded-full text-cyan-400 border border-slate-700"><Upload className="w-10 h-10" /></div><p className="font-bold text-xl">Fußabdruck hochladen</p></div>
+            <div className="text-center max-w-2xl"><h1 className="text-5xl font-extrabold bg-gradient-to-r from-white to-slate-400 bg-clip-text text-transparent">{t('upload.title')}</h1></div>
+            <div className="flex bg-slate-900 p-1 rounded-xl border border-slate-800">{[{id:false,label:t('upload.single'),icon:Footprints},{id:true,label:t('upload.pair'),icon:ArrowLeftRight}].map(m=>(<button key={String(m.id)} onClick={()=>setPairMode(m.id)} className={`px-4 py-2 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all ${pairMode===m.id?'bg-cyan-500 text-slate-950':'text-slate-500'}`}><m.icon className="w-3.5 h-3.5" /> {m.label}</button>))}</div>
+            {!pairMode && <UploadZone className="w-full max-w-2xl aspect-video" label={t('upload.upload')} onFile={file=>processFile(file)} />}
+            {!pairMode && <button onClick={()=>setCameraTarget('single')} className="px-5 py-3 rounded-xl bg-slate-900 border border-slate-800 text-xs font-black uppercase text-slate-300 hover:text-white flex items-center gap-3"><Camera className="w-4 h-4 text-cyan-400" /> {t('upload.camera')}</button>}
+            {pairMode && (
+              <div className="w-full max-w-4xl space-y-6">
+                <div className="grid grid-cols-2 gap-6">{SIDES.map(side=>(<div key={side} className="flex flex-col gap-3"><UploadZone className="aspect-[4/5]" label={t(`footSides.${side}`)} preview={pairedFeet[side]?.image} onFile={file=>processFile(file, side)} /><button onClick={()=>setCameraTarget(side)} className="py-3 rounded-xl bg-slate-900 border border-slate-800 text-xs font-black uppercase text-slate-300 hover:text-white flex items-center justify-center gap-3"><Camera className="w-4 h-4 text-cyan-400" /> {t('camera.title')}</button></div>))}</div>
+                <button onClick={startPairCalibration} disabled={!pairedFeet.left || !pairedFeet.right} className={`w-full py-6 font-black rounded-2xl flex items-center justify-center gap-4 uppercase transition-all ${pairedFeet.left && pairedFeet.right?'bg-white text-slate-950 shadow-2xl':'bg-slate-800 text-slate-600'}`}><ChevronRight/> {t('upload.startPair')}</button>
+              </div>
+            )}
+            <div className="flex flex-col items-center gap-2">
+              <label className="relative px-4 py-2 rounded-lg text-[10px] uppercase font-black text-slate-500 hover:text-white flex items-center gap-2 cursor-pointer transition-all"><FileUp className="w-3.5 h-3.5" /> {t('upload.import')}<input type="file" accept="application/json,.json" className="absolute inset-0 opacity-0 cursor-pointer" onChange={e=>{importAnalysis(e.target.files[0]); e.target.value='';}} /></label>
+              {importError && <p className="text-xs font-bold text-red-400 flex items-center gap-2"><AlertTriangle className="w-4 h-4" /> {importError}</p>}
             </div>
           </div>
         )}
-        {step >= 2 && (
+        {view === 'analysis' && step >= 2 && (
           <div className="animate-fadeIn w-full h-full grid grid-cols-1 lg:grid-cols-12 gap-8 overflow-hidden">
             <div className={`lg:col-span-${step===2?'8':'6'} flex flex-col h-full min-h-0`}>
               {step === 2 && (
                 <div className="flex-none grid grid-cols-1 md:grid-cols-12 gap-4 mb-4 bg-slate-900/50 p-4 rounded-2xl border border-slate-800 items-center">
                    <div className="md:col-span-6 flex items-center gap-8">
-                     <div className="flex-1 flex flex-col gap-1"><div className="flex justify-between text-[10px] uppercase text-slate-400 font-black"><span>Sensitivität</span><span className="text-cyan-400">{meshSensitivity}%</span></div><input type="range" min="0" max="100" value={meshSensitivity} onChange={e=>setMeshSensitivity(parseInt(e.target.value))} className="w-full h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-500" /></div>
-                     <div className="flex-1 flex flex-col gap-1"><div className="flex justify-between text-[10px] uppercase text-slate-400 font-black"><span>Kontrast</span><span className="text-white">{imageContrast}%</span></div><input type="range" min="50" max="250" value={imageContrast} onChange={e=>setImageContrast(parseInt(e.target.value))} className="w-full h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-white" /></div>
+                     <div className="flex-1 flex flex-col gap-1"><div className="flex justify-between text-[10px] uppercase text-slate-400 font-black"><span>{t('controls.sensitivity')}</span><span className="text-cyan-400">{meshSensitivity}%</span></div><input type="range" min="0" max="100" value={meshSensitivity} onChange={e=>setMeshSensitivity(parseInt(e.target.value))} className="w-full h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-cyan-500" /></div>
+                     <div className="flex-1 flex flex-col gap-1"><div className="flex justify-between text-[10px] uppercase text-slate-400 font-black"><span>{t('controls.contrast')}</span><span className="text-white">{imageContrast}%</span></div><input type="range" min="50" max="250" value={imageContrast} onChange={e=>setImageContrast(parseInt(e.target.value))} className="w-full h-1.5 bg-slate-800 rounded-lg appearance-none cursor-pointer accent-white" /></div>
                    </div>
                    <div className="md:col-span-6 flex items-center justify-end border-l border-slate-800 pl-6 gap-2">
-                        <button onClick={()=>setHighContrastMode(!highContrastMode)} className={`px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all ${highContrastMode?'bg-cyan-500 text-slate-950':'text-slate-500'}`}>{highContrastMode?<Eye className="w-3.5 h-3.5"/>:<EyeOff className="w-3.5 h-3.5"/>} High-Res</button>
-                        <div className="flex bg-slate-950 p-1 rounded-xl border border-slate-800">{[{id:'both',icon:Layers},{id:'image',icon:ImageIcon},{id:'mesh',icon:Cpu}].map(m=>(<button key={m.id} onClick={()=>setDisplayMode(m.id)} className={`p-2 rounded-lg transition-all ${displayMode===m.id?'bg-cyan-500 text-slate-950':'text-slate-500'}`}><m.icon className="w-3.5 h-3.5" /></button>))}</div>
+                        <button onClick={()=>setCorrecting(true)} disabled={correcting || isScanning} title={isCorrected(correction) ? t('correction.corrected') : t('correction.tooltip')} className={`px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all ${correcting?'bg-cyan-500 text-slate-950':(isCorrected(correction)?'bg-cyan-500/10 text-cyan-400':'text-slate-500 hover:text-white')}`}><Crop className="w-3.5 h-3.5"/> {t('correction.button')}</button>
+                        <button onClick={()=>setPlacement('default')} disabled={autoPlacement} title={t(`placement.${placement}`)} className={`px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all ${autoPlacement?'bg-cyan-500/10 text-cyan-400':'text-slate-500 hover:text-white'}`}><Wand2 className="w-3.5 h-3.5"/> {t('controls.auto')}</button>
+                        <button onClick={()=>setHighContrastMode(!highContrastMode)} className={`px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black transition-all ${highContrastMode?'bg-cyan-500 text-slate-950':'text-slate-500'}`}>{highContrastMode?<Eye className="w-3.5 h-3.5"/>:<EyeOff className="w-3.5 h-3.5"/>} {t('controls.highContrast')}</button>
+                        <button onClick={resetZoom} disabled={zoom.scale===1} title={t('controls.zoomHint')} className={`px-3 py-1.5 rounded-lg flex items-center gap-2 text-[10px] uppercase font-black font-mono transition-all ${zoom.scale>1?'bg-cyan-500/10 text-cyan-400':'text-slate-500'}`}><ZoomIn className="w-3.5 h-3.5"/> {Math.round(zoom.scale*100)}%</button>
+                        <div className="flex bg-slate-950 p-1 rounded-xl border border-slate-800">{[{id:'both',icon:Layers},{id:'image',icon:ImageIcon},{id:'mesh',icon:Cpu},{id:'heatmap',icon:Flame}].map(m=>(<button key={m.id} onClick={()=>setDisplayMode(m.id)} className={`p-2 rounded-lg transition-all ${displayMode===m.id?'bg-cyan-500 text-slate-950':'text-slate-500'}`}><m.icon className="w-3.5 h-3.5" /></button>))}</div>
                    </div>
                 </div>
               )}
-              <div className="flex-1 relative bg-black rounded-[2rem] overflow-hidden border border-slate-800 flex items-center justify-center min-h-0" ref={containerRef}>
-                <div className="relative transition-all duration-500" style={{ width: fittedDims.w, height: fittedDims.h }}>
-                    <img src={image} alt="Footprint" className={`w-full h-full transition-opacity duration-500 ${displayMode==='mesh'?'opacity-0':'opacity-100'}`} style={{ filter: highContrastMode ? `grayscale(100%) contrast(${imageContrast+30}%) brightness(1.1)` : `grayscale(100%) contrast(${imageContrast}%) brightness(1.05)` }} />
-                    {fittedDims.w > 0 && displayMode !== 'image' && <FootprintMesh imageSrc={image} width={fittedDims.w} height={fittedDims.h} isActive={true} sensitivity={meshSensitivity} contrast={imageContrast} />}
-                    {!isScanning && <>{['forefoot','arch','heel'].map(k=>(<MeasurementTool key={k} toolKey={k} colorClass={k==='forefoot'?'text-cyan-400':(k==='arch'?'text-amber-400':'text-purple-400')} borderClass={k==='forefoot'?'border-cyan-400':(k==='arch'?'border-amber-400':'border-purple-400')} bgClass={k==='forefoot'?'bg-cyan-500/10':(k==='arch'?'bg-amber-500/10':'bg-purple-500/10')} label={k.toUpperCase()} readOnly={step===3} />))}</>}
+              {step === 3 && result?.feet ? (
+                <div className="flex-1 grid grid-cols-2 gap-4 min-h-0">{SIDES.map(side=>(<FootPreview key={side} foot={pairedFeet[side]} label={t(`sides.${side}`)} contrast={imageContrast} />))}</div>
+              ) : step === 2 && correcting ? (
+                <CorrectionEditor key={activeSide} source={original} correction={correction} options={{ sensitivity: meshSensitivity, contrast: imageContrast }} onApply={applyImageCorrection} onCancel={cancelImageCorrection} />
+              ) : (
+              <div className={`flex-1 relative bg-black rounded-[2rem] overflow-hidden border border-slate-800 flex items-center justify-center min-h-0 touch-none ${zoom.scale>1?'cursor-grab':''}`} ref={containerRef} {...panZoomHandlers} onDoubleClick={resetZoom}>
+                <div className="relative transition-[width,height] duration-500" style={{ width: fittedDims.w, height: fittedDims.h, transform: `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`, transformOrigin: '0 0' }}>
+                    <img src={image} alt={t('camera.footprint')} draggable={false} className={`w-full h-full transition-opacity duration-500 ${displayMode==='mesh'?'opacity-0':(displayMode==='heatmap'?'opacity-40':'opacity-100')}`} style={{ filter: highContrastMode ? `grayscale(100%) contrast(${imageContrast+30}%) brightness(1.1)` : `grayscale(100%) contrast(${imageContrast}%) brightness(1.05)` }} />
+                    {fittedDims.w > 0 && <FootprintMesh imageSrc={image} width={fittedDims.w} height={fittedDims.h} sensitivity={meshSensitivity} contrast={imageContrast} mode={displayMode==='image'?null:(displayMode==='heatmap'?'heatmap':'mesh')} />}
+                    {!isScanning && <>{TOOL_KEYS.map(k=>(<MeasurementTool key={k} toolKey={k} tool={tools[k]} onPointerDown={handlePointerDown} readOnly={step===3} />))}</>}
+                    {step === 2 && calibration.method === 'reference' && calibration.points.length > 0 && <svg className="absolute inset-0 w-full h-full z-40 pointer-events-none">{calibration.points.length === 2 && <line x1={`${calibration.points[0].x}%`} y1={`${calibration.points[0].y}%`} x2={`${calibration.points[1].x}%`} y2={`${calibration.points[1].y}%`} stroke="#4ade80" strokeWidth="2" strokeDasharray="6 4" />}{calibration.points.map((p,i)=>(<circle key={i} cx={`${p.x}%`} cy={`${p.y}%`} r="6" fill="none" stroke="#4ade80" strokeWidth="2" />))}</svg>}
+                    {markingReference && <div className="absolute inset-0 z-40 cursor-crosshair" onPointerDown={e=>e.stopPropagation()} onClick={handleReferenceClick} />}
                     {isScanning && <div className="absolute inset-0 z-50 pointer-events-none"><div className="absolute left-0 w-full h-[2px] bg-green-400 shadow-[0_0_30px_rgba(74,222,128,1)]" style={{ top: `${scanProgress}%` }}></div><div className="absolute left-0 w-full h-64 bg-gradient-to-t from-green-400/20 to-transparent" style={{ top: `${scanProgress}%`, transform: 'translateY(-100%)' }}></div></div>}
                 </div>
                 {isScanning && <div className="absolute top-10 right-10 font-mono text-green-400 text-3xl font-black drop-shadow-lg z-50">{scanProgress}%</div>}
               </div>
+              )}
             </div>
             <div className={`lg:col-span-${step===2?'4':'6'} flex flex-col h-full min-h-0`}>
               {step === 2 && (
                 <div className="space-y-6 flex flex-col h-full">
-                  <div className="bg-slate-900/80 p-8 rounded-3xl border border-slate-800 flex-1 overflow-y-auto"><h3 className="text-white font-bold text-xl flex items-center gap-3 uppercase mb-6"><Maximize2 className="w-5 h-5 text-cyan-400" /> Kalibrierung</h3><div className="mb-8 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 flex items-center justify-between"><div className="flex items-center gap-3"><Ruler className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">Größe (EU)</span></div><input type="number" min="30" max="52" value={shoeSize} onChange={e=>setShoeSize(parseInt(e.target.value))} className="bg-slate-900 px-4 py-2 rounded-xl text-white font-black w-14 text-center" /></div><div className="space-y-8">{['Vorfuß','Gewölbe','Ferse'].map((l,i)=>(<div key={i} className={`text-sm text-slate-300 border-l-2 ${i===0?'border-cyan-500':i===1?'border-amber-500':'border-purple-500'} pl-6`}><strong className={`block uppercase text-[11px] mb-2 ${i===0?'text-cyan-400':i===1?'text-amber-400':'text-purple-400'}`}>{i+1}. {l}</strong>Positionieren Sie den Kasten auf der breitesten Stelle des {l}s.</div>))}</div></div>
-                  <button onClick={startAnalysis} disabled={isScanning} className="py-6 bg-white text-slate-950 font-black rounded-2xl shadow-2xl flex items-center justify-center gap-4 uppercase">{isScanning?<Loader2 className="animate-spin"/>:<Activity/>} Analyse Starten</button>
+                  <div className="bg-slate-900/80 p-8 rounded-3xl border border-slate-800 flex-1 overflow-y-auto"><h3 className="text-white font-bold text-xl flex items-center gap-3 uppercase mb-6"><Maximize2 className="w-5 h-5 text-cyan-400" /> {t('calibration.title')}</h3>{pairMode && <div className="mb-6 flex bg-slate-950 p-1 rounded-xl border border-slate-800">{SIDES.map(side=>(<button key={side} onClick={()=>switchSide(side)} disabled={isScanning} className={`flex-1 py-2 rounded-lg flex items-center justify-center gap-2 text-[10px] uppercase font-black transition-all ${activeSide===side?'bg-cyan-500 text-slate-950':'text-slate-500'}`}>{t(`sides.${side}`)} {pairedFeet[side]?.result && <CheckCircle className="w-3.5 h-3.5" />}</button>))}</div>}<div className="mb-8 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 flex items-center justify-between"><div className="flex items-center gap-3"><Ruler className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">{t('calibration.size')}</span></div><div className="flex items-center gap-2"><div className="flex bg-slate-900 p-1 rounded-lg">{SIZE_SYSTEMS.map(sys=>(<button key={sys} onClick={()=>setSizeSystem(sys)} className={`px-2 py-1 rounded-md text-[10px] uppercase font-black transition-all ${sizeSystem===sys?'bg-cyan-500 text-slate-950':'text-slate-500'}`}>{sys}</button>))}</div><input type="number" min={convertSize(EU_SIZE_RANGE.min, 'eu', sizeSystem)} max={convertSize(EU_SIZE_RANGE.max, 'eu', sizeSystem)} step={sizeSystem==='eu'?1:0.5} value={convertSize(shoeSize, 'eu', sizeSystem)} onChange={e=>changeShoeSize(e.target.value)} className="bg-slate-900 px-4 py-2 rounded-xl text-white font-black w-20 text-center" /></div></div><div className="-mt-4 mb-8 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 flex items-center justify-between gap-4"><div className="flex items-center gap-3"><Users className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">{t('history.athlete')}</span></div><input type="text" value={athlete} onChange={e=>setAthlete(e.target.value)} placeholder={t('calibration.namePlaceholder')} className="bg-slate-900 px-4 py-2 rounded-xl text-white font-bold text-sm w-40 text-right" /></div><div className="-mt-4 mb-8 bg-slate-950/50 p-4 rounded-2xl border border-slate-800 space-y-3"><div className="flex items-center justify-between gap-4"><div className="flex items-center gap-3"><Scale className="w-5 h-5 text-cyan-400" /><span className="text-white text-sm font-bold">{t('calibration.scale')}</span></div><div className="flex bg-slate-900 p-1 rounded-lg">{['size','reference'].map(id=>({id,l:t(`calibration.methods.${id}`)})).map(m=>(<button key={m.id} onClick={()=>{ setCalibration(prev=>({ ...prev, method: m.id })); setMarkingReference(false); }} className={`px-3 py-1 rounded-md text-[10px] uppercase font-black transition-all ${calibration.method===m.id?'bg-cyan-500 text-slate-950':'text-slate-500'}`}>{m.l}</button>))}</div></div>{calibration.method==='reference' && <div className="flex items-center gap-2"><select value={calibration.reference} onChange={e=>selectReference(e.target.value)} className="flex-1 bg-slate-900 px-3 py-2 rounded-xl text-white text-xs font-bold">{Object.entries(REFERENCE_OBJECTS).map(([k,r])=><option key={k} value={k}>{t(`sizing.references.${k}`)}{r.mm ? ` (${r.mm} mm)` : ''}</option>)}</select>{calibration.reference==='custom' && <input type="number" min="1" value={calibration.referenceMm} onChange={e=>setCalibration(prev=>({ ...prev, referenceMm: parseFloat(e.target.value) || 0 }))} className="bg-slate-900 px-3 py-2 rounded-xl text-white font-black text-xs w-16 text-center" />}<button onClick={startReferenceMarking} className={`px-3 py-2 rounded-xl text-[10px] uppercase font-black flex items-center gap-2 transition-all ${markingReference?'bg-green-400 text-slate-950':'bg-slate-900 text-slate-400 hover:text-white'}`}><Target className="w-3.5 h-3.5" /> {calibration.points.length===2?t('calibration.remark'):t('calibration.mark')}</button></div>}<p className="text-[11px] text-slate-500">{calibration.method==='size'?t('calibration.estimated', { size: sizeLabel, length: Math.round(footLengthFromEu(shoeSize)) }):(markingReference?t('calibration.clickPoint', { point: calibration.points.length+1 }):(calibration.points.length===2?t('calibration.referenceScale', { mm: calibration.referenceMm, px: Math.round(referenceDistance(calibration.points, imgNaturalSize)) }):t('calibration.markHint')))}</p></div><ProfilePanel settings={profileSettings} error={profileError} onChange={setProfileSettings} /><div className="space-y-8">{TOOL_KEYS.map((k,i)=>(<div key={k} className={`text-sm text-slate-300 border-l-2 ${i===0?'border-cyan-500':i===1?'border-amber-500':'border-purple-500'} pl-6`}><strong className={`block uppercase text-[11px] mb-2 ${i===0?'text-cyan-400':i===1?'text-amber-400':'text-purple-400'}`}>{i+1}. {t(`calibration.zones.${k}.label`)}</strong>{t(`calibration.zones.${k}.${placement==='auto'?'auto':'manual'}`)}</div>))}</div></div>
+                  <button onClick={startAnalysis} disabled={isScanning || correcting || !activeProfile} className="py-6 bg-white text-slate-950 font-black rounded-2xl shadow-2xl flex items-center justify-center gap-4 uppercase">{isScanning?<Loader2 className="animate-spin"/>:<Activity/>} {t('calibration.start')}{pairMode && ` (${t(`sides.${activeSide}`)})`}</button>
                 </div>
               )}
               {step === 3 && result && (
                 <div className="animate-slideLeft space-y-6 flex flex-col h-full overflow-hidden">
-                   <div className="bg-slate-900/80 p-8 rounded-3xl border border-slate-800 flex-none"><div className="flex items-center justify-between mb-4"><div className="text-[11px] font-black uppercase text-slate-500 flex items-center gap-2"><Activity className={result.color}/> Report</div><div className="bg-slate-950 px-3 py-1.5 rounded-lg border text-slate-400 font-bold text-[10px]">EU {shoeSize}</div></div><h3 className="text-4xl font-black text-white mb-2">{result.name}</h3><p className="text-slate-400">{result.description}</p></div>
+                   {archivedEntry && <div className="flex-none bg-slate-900/60 px-5 py-3 rounded-2xl border border-slate-800 text-[11px] font-bold text-slate-400 flex items-center gap-3"><History className="w-4 h-4 text-cyan-400" /> {t('history.archived', { date: formatDate(archivedEntry.createdAt), athlete: archivedEntry.athlete })}</div>}
+                   {result.feet ? <PairSummary feet={result.feet} /> : <div className="bg-slate-900/80 p-8 rounded-3xl border border-slate-800 flex-none"><div className="flex items-center justify-between mb-4"><div className="text-[11px] font-black uppercase text-slate-500 flex items-center gap-2"><Activity className={result.color}/> {t('recommendation.report')}</div><div className="flex items-center gap-2"><div className="bg-slate-950 px-3 py-1.5 rounded-lg border text-slate-400 font-bold text-[10px] flex items-center gap-1.5">{result.placement==='manual'?<Move className="w-3 h-3"/>:<Wand2 className="w-3 h-3"/>} {t(`placement.${result.placement}`)}</div>{result.classification?.borderline && <div className="bg-amber-500/10 px-3 py-1.5 rounded-lg border border-amber-500/30 text-amber-400 font-bold text-[10px] flex items-center gap-1.5"><AlertTriangle className="w-3 h-3"/> {t('classification.borderline')}</div>}{isCorrected(correction) && <div className="bg-slate-950 px-3 py-1.5 rounded-lg border text-slate-400 font-bold text-[10px] flex items-center gap-1.5"><Crop className="w-3 h-3"/> {t('correction.badge')}</div>}<div className="bg-slate-950 px-3 py-1.5 rounded-lg border text-slate-400 font-bold text-[10px]">{sizeLabel}</div></div></div><h3 className="text-4xl font-black text-white mb-2">{result.name}</h3><p className="text-slate-400">{result.description}</p></div>}
                    <div className="flex-1 overflow-y-auto space-y-6 pr-2">
-                      {aiLoading && <div className="bg-cyan-500/10 p-6 rounded-3xl border border-cyan-500/20 flex items-center gap-4 text-cyan-400 animate-pulse"><Sparkles/><span>KI-Experte berechnet Modelle...</span></div>}
+                      {aiLoading && <div className="bg-cyan-500/10 p-6 rounded-3xl border border-cyan-500/20 flex items-center gap-4 text-cyan-400 animate-pulse"><Sparkles/><span>{t('recommendation.aiLoading')}</span></div>}
+                      {!aiLoading && aiStatus?.error && <div className={`p-5 rounded-3xl border flex items-start gap-4 text-xs ${aiStatus.fallback?'bg-amber-500/10 border-amber-500/30 text-amber-400':'bg-red-500/10 border-red-500/30 text-red-400'}`}><AlertTriangle className="w-5 h-5 shrink-0"/><div className="flex-1"><strong className="block uppercase mb-1">{aiStatus.fallback?t('recommendation.aiFallback'):t('recommendation.aiUnavailable')}</strong><span>{aiStatus.error}</span></div>{lastAiRequest.current && <button onClick={()=>refreshAiRecommendation(lastAiRequest.current)} className="px-3 py-1.5 rounded-lg border border-current font-black uppercase text-[10px] flex items-center gap-2 shrink-0"><RotateCcw className="w-3.5 h-3.5"/> {t('common.retry')}</button>}</div>}
                       {aiData && (
-                         <div className="bg-slate-900/60 p-6 rounded-3xl border border-cyan-500/30 relative overflow-hidden"><div className="absolute top-0 left-0 w-1.5 h-full bg-cyan-500"></div><div className="flex items-center gap-3 mb-4"><Sparkles className="text-cyan-400"/><h4 className="font-black text-white text-sm uppercase">KI Insights</h4></div><div className="text-slate-300 space-y-4"><p className="leading-relaxed">{aiData.explanation}</p>{aiData.exercise && <div className="bg-slate-950 p-6 rounded-2xl border border-slate-800 flex gap-4"><Dumbbell className="text-cyan-400 mt-1 shrink-0"/><div className="text-xs"><strong className="text-cyan-400 uppercase block mb-1">Übung</strong><span className="block font-bold text-white mb-1">{aiData.exercise.name}</span><p>{aiData.exercise.instruction}</p></div></div>}</div></div>
+                         <div className="bg-slate-900/60 p-6 rounded-3xl border border-cyan-500/30 relative overflow-hidden"><div className="absolute top-0 left-0 w-1.5 h-full bg-cyan-500"></div><div className="flex items-center gap-3 mb-4"><Sparkles className="text-cyan-400"/><h4 className="font-black text-white text-sm uppercase">{t('recommendation.insights')}</h4>{aiStatus && <span className="ml-auto bg-slate-950 px-3 py-1 rounded-lg border border-slate-800 text-[10px] font-bold text-slate-400">{getProviderLabel(aiStatus.provider)}</span>}</div>{aiStatus?.language && aiStatus.language !== language && <div className="mb-4 text-[10px] font-bold text-amber-400 flex items-center gap-2"><Languages className="w-3.5 h-3.5"/> {t('recommendation.otherLanguage', { language: LANGUAGES[aiStatus.language].label })}{!archivedEntry && <button onClick={()=>refreshAiRecommendation(aiRequestFor(result))} className="ml-auto px-3 py-1.5 rounded-lg border border-current font-black uppercase flex items-center gap-2"><RotateCcw className="w-3.5 h-3.5"/> {t('recommendation.refetch')}</button>}</div>}<div className="text-slate-300 space-y-4" lang={aiStatus?.language}><p className="leading-relaxed">{aiData.explanation}</p>{aiData.exercise && <div className="bg-slate-950 p-6 rounded-2xl border border-slate-800 flex gap-4"><Dumbbell className="text-cyan-400 mt-1 shrink-0"/><div className="text-xs"><strong className="text-cyan-400 uppercase block mb-1">{t('report.exercise')}</strong><span className="block font-bold text-white mb-1">{aiData.exercise.name}</span><p>{aiData.exercise.instruction}</p></div></div>}</div></div>
                       )}
-                      <div className="grid grid-cols-2 gap-4">
-                        {['csi','si'].map(k=>(<div key={k} className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner"><div className="text-[10px] font-black text-slate-500 uppercase">{k.toUpperCase()} Index</div><div className="text-3xl font-black text-white font-mono">{result.metrics[k]}</div></div>))}
-                      </div>
-                      <div className="bg-gradient-to-br from-slate-900 to-slate-800 p-8 rounded-3xl border border-slate-700 border-l-8 border-l-cyan-500 shadow-2xl"><div className="flex justify-between items-start mb-6"><div><span className="text-[10px] font-black text-cyan-500 uppercase">Empfehlung</span><h4 className="text-3xl font-black text-white">{result.shoeType}</h4></div><div className="p-3 bg-cyan-500/10 rounded-2xl"><result.icon className="text-cyan-400 w-8 h-8"/></div></div>{aiData?.shoes && <div className="space-y-4"><p className="text-[10px] text-slate-500 uppercase font-black">Top Modelle (Klick zum Auswählen)</p><div className="flex flex-wrap gap-3">{aiData.shoes.map((s,i)=>(<button key={i} onClick={()=>setSelectedShoe(s)} className={`px-5 py-2.5 rounded-xl text-xs font-bold border transition-all ${getShoeName(selectedShoe)===getShoeName(s)?'bg-cyan-500 text-slate-950 border-cyan-400':'bg-slate-950 text-slate-400 border-slate-700'}`}>{s}</button>))}</div></div>}<button onClick={()=>window.open(`https://www.google.com/search?tbm=shop&q=${encodeURIComponent(getShoeName(selectedShoe)+' EU '+shoeSize+' Laufschuh')}`,'_blank')} disabled={!selectedShoe} className={`w-full mt-8 py-5 rounded-2xl font-black text-sm uppercase flex items-center justify-center gap-3 transition-all ${selectedShoe?'bg-white text-slate-950 hover:bg-cyan-50 shadow-2xl':'bg-slate-800 text-slate-600'}`}>{selectedShoe?`Preise für ${getShoeName(selectedShoe).split(' ')[0]} prüfen`:'Modell wählen'}<ExternalLink className="w-5 h-5" /></button></div>
+                      {result.feet && <AsymmetryPanel feet={result.feet} asymmetry={result.asymmetry} />}
+                      {result.feet ? SIDES.filter(side=>result.feet[side].classification).map(side=>(<ClassificationPanel key={side} label={t(`sides.${side}`)} classification={result.feet[side].classification} />)) : (result.classification && <ClassificationPanel classification={result.classification} />)}
+                      {result.feet ? SIDES.filter(side=>result.feet[side].metrics.ballWidthMm).map(side=>(<MeasurementsPanel key={side} label={t(`sides.${side}`)} metrics={result.feet[side].metrics} sizeLabel={sizeLabel} />)) : (result.metrics.ballWidthMm && <MeasurementsPanel metrics={result.metrics} sizeLabel={sizeLabel} />)}
+                      {!result.feet && <div className="grid grid-cols-2 gap-4">
+                        {['csi','si'].map(k=>(<div key={k} className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner"><div className="text-[10px] font-black text-slate-500 uppercase">{t('recommendation.indexTitle', { index: k.toUpperCase() })}</div><div className="text-3xl font-black text-white font-mono">{result.metrics[k]}</div></div>))}
+                        {result.metrics.archIndex && [{k:'archIndex'},{k:'clarkeAngle',u:'°'}].map(m=>(<div key={m.k} className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner"><div className="text-[10px] font-black text-slate-500 uppercase">{indexLabel(m.k)}</div><div className="text-3xl font-black text-white font-mono">{result.metrics[m.k] ?? '–'}{result.metrics[m.k] && m.u}</div></div>))}
+                      </div>}
+                      {result.metrics?.archIndex && <div className="bg-slate-900 p-6 rounded-3xl border border-slate-800 shadow-inner"><div className="text-[10px] font-black text-slate-500 uppercase mb-3">{t('measurements.axisWidths')}</div><div className="grid grid-cols-3 gap-4">{[{k:'forefootWidth',c:'text-cyan-400'},{k:'midfootWidth',c:'text-amber-400'},{k:'heelWidth',c:'text-purple-400'}].map(m=>(<div key={m.k}><div className={`text-[10px] font-black uppercase ${m.c}`}>{t(`measurements.axis.${m.k}`)}</div><div className="text-xl font-black text-white font-mono">{result.metrics[m.k]}%</div></div>))}</div></div>}
+                      <div className="bg-gradient-to-br from-slate-900 to-slate-800 p-8 rounded-3xl border border-slate-700 border-l-8 border-l-cyan-500 shadow-2xl"><div className="flex justify-between items-start mb-6"><div><span className="text-[10px] font-black text-cyan-500 uppercase">{t('report.recommendation')}</span><h4 className={`text-3xl font-black ${recommendation.detail ? 'text-amber-400' : 'text-white'}`}>{recommendation.title}</h4>{recommendation.detail && <p className="text-xs font-bold text-slate-400 mt-2">{recommendation.detail}</p>}</div><div className="p-3 bg-cyan-500/10 rounded-2xl"><result.icon className="text-cyan-400 w-8 h-8"/></div></div>{aiData?.shoes && <div className="space-y-4"><p className="text-[10px] text-slate-500 uppercase font-black">{t('recommendation.topModels')}</p><div className="flex flex-wrap gap-3">{aiData.shoes.map((s,i)=>{ const entry = matchCatalogEntry(getShoeName(s)); const active = entry ? selectedShoe?.id===entry.id : getShoeName(selectedShoe)===getShoeName(s); return (<button key={i} onClick={()=>setSelectedShoe(entry || s)} title={entry?t('recommendation.inCatalog'):t('recommendation.notInCatalog')} className={`px-5 py-2.5 rounded-xl text-xs font-bold border transition-all flex items-center gap-2 ${active?'bg-cyan-500 text-slate-950 border-cyan-400':'bg-slate-950 text-slate-400 border-slate-700'}`}>{entry && <CheckCircle className="w-3.5 h-3.5"/>}{getShoeName(s)}</button>); })}</div></div>}<div className={`w-full mt-8 p-5 rounded-2xl text-xs ${selectedShoe?'bg-white text-slate-950 shadow-2xl':'bg-slate-800 text-slate-500'}`}>{!selectedShoe && <span className="font-black uppercase">{t('recommendation.chooseModel')}</span>}{selectedShoe && <><strong className="block text-sm font-black uppercase">{getShoeName(selectedShoe)}</strong>{selectedShoe.id ? `${categoryLabel(selectedShoe.category)} · ${t('recommendation.drop', { drop: selectedShoe.drop })} · ${selectedShoe.weight} g · ${t(`recommendation.${selectedShoe.sizes.includes(Math.round(shoeSize)) ? 'sizeAvailable' : 'sizeMissing'}`, { size: sizeLabel })} · ${t('recommendation.widths', { widths: selectedShoe.widths.map(widthLabel).join(', ') })}` : t('recommendation.notLocal')}</>}</div></div>
+                      <ShoeCatalogPanel category={result.shoeCategory} shoeSize={shoeSize} sizeLabel={sizeLabel} suggested={(aiData?.shoes || []).map(getShoeName)} selectedShoe={selectedShoe} onSelect={setSelectedShoe} widthFitting={reportWidthFitting(result)} />
+                      <div className="grid grid-cols-2 gap-4"><button onClick={exportReport} className="py-4 rounded-2xl font-black text-xs uppercase flex items-center justify-center gap-3 bg-slate-900 text-slate-300 border border-slate-800 hover:text-white"><Printer className="w-4 h-4" /> {t('recommendation.print')}</button><button onClick={()=>exportAnalysisJson(analysisSnapshot(), `stridelab-${new Date().toISOString().slice(0,10)}.json`)} disabled={!jsonExportable} title={jsonExportable ? undefined : t('recommendation.exportThumbnailOnly')} className="py-4 rounded-2xl font-black text-xs uppercase flex items-center justify-center gap-3 bg-slate-900 text-slate-300 border border-slate-800 hover:text-white disabled:opacity-40 disabled:hover:text-slate-300"><Download className="w-4 h-4" /> {t('recommendation.exportJson')}</button></div>
                    </div>
                 </div>
               )}
@@ -0,0 +1,168 @@
+/**
+ * KI-EMPFEHLUNGEN
+ * Austauschbare Provider (Gemini, OpenAI-kompatibel, regelbasiert) hinter einer gemeinsamen
+ * Schnittstelle: Timeout, Wiederholungen, Schema-Prüfung und Offline-Fallback.
+ * Konfiguration über Vite-Umgebungsvariablen (VITE_AI_PROVIDER, VITE_GEMINI_KEY, ...).
+ * Fehlermeldungen und regelbasierte Texte folgen der aktiven Sprache (i18n.js).
+ */
+import { t } from './i18n.js';
+
+export class ProviderError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.retryable = retryable;
+  }
+}
+
+const env = import.meta.env || {};
+const DEFAULT_RETRIES = 2;
+
+// Nur ganzzahlige Werte ≥ 0; Unlesbares (NaN, negativ, leer) fällt auf den Standard zurück
+const retryCount = (value) => {
+  const count = value === '' || value == null ? NaN : Math.floor(Number(value));
+  return count >= 0 ? count : DEFAULT_RETRIES;
+};
+
+export const getProviderConfig = () => ({
+  provider: env.VITE_AI_PROVIDER || (env.VITE_GEMINI_KEY ? 'gemini' : (env.VITE_OPENAI_BASE_URL ? 'openai' : 'rules')),
+  geminiKey: env.VITE_GEMINI_KEY || '',
+  geminiModel: env.VITE_GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025',
+  openaiBaseUrl: (env.VITE_OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/$/, ''),
+  openaiKey: env.VITE_OPENAI_KEY || '',
+  openaiModel: env.VITE_OPENAI_MODEL || 'gpt-4o-mini',
+  timeout: Number(env.VITE_AI_TIMEOUT) || 20000,
+  retries: retryCount(env.VITE_AI_RETRIES)
+});
+
+// --- Schema {explanation, shoes, exercise} ---
+export const validateRecommendation = (data) => {
+  if (!data || typeof data !== 'object') throw new ProviderError(t('ai.errors.notObject'));
+  const explanation = typeof data.explanation === 'string' ? data.explanation.trim() : '';
+  if (!explanation) throw new ProviderError(t('ai.errors.noExplanation'));
+  if (!Array.isArray(data.shoes)) throw new ProviderError(t('ai.errors.noShoes'));
+  const shoes = data.shoes.map(s => typeof s === 'string' ? s.trim() : (s?.name || s?.model || '')).filter(Boolean);
+  if (!shoes.length) throw new ProviderError(t('ai.errors.emptyShoes'));
+  const { exercise } = data;
+  if (!exercise || typeof exercise.name !== 'string' || typeof exercise.instruction !== 'string' || !exercise.name.trim()) throw new ProviderError(t('ai.errors.noExercise'));
+  return { explanation, shoes: shoes.slice(0, 5), exercise: { name: exercise.name.trim(), instruction: exercise.instruction.trim() } };
+};
+
+const parseJsonText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) throw new ProviderError(t('ai.errors.empty'));
+  try {
+    return JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+  } catch {
+    throw new ProviderError(t('ai.errors.invalidJson'));
+  }
+};
+
+const postJson = async (url, body, headers, signal) => {
+  const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body), signal });
+  if (!response.ok) {
+    const retryable = response.status === 429 || response.status >= 500;
+    throw new ProviderError(t('ai.errors.http', { status: response.status }), { retryable });
+  }
+  return response.json();
+};
+
+// --- Regelbasierte Empfehlungen (offline, deterministisch) ---
+// Übungen im Katalog unter ai.rules.exercises
+const RULE_SHOES = {
+  flat: ['ASICS Gel-Kayano', 'Brooks Adrenaline GTS', 'Saucony Guide'],
+  neutral: ['Brooks Ghost', 'Nike Pegasus', 'ASICS Novablast'],
+  high: ['ASICS Gel-Nimbus', 'Hoka Clifton', 'New Balance Fresh Foam 1080']
+};
+
+const ruleRecommendation = ({ diagnosis, feet }) => {
+  const sides = feet.length > 1 && feet[0].id !== feet[1].id
+    ? t('ai.rules.sides', { left: feet[0].name, right: feet[1].name })
+    : '';
+  const risks = [...new Set(feet.flatMap(f => f.medicalRisks))].join(', ');
+  // Senk- gegen Hohlfuß: kein gemeinsamer Schuhtyp, die neutralen Modelle sind nur ein Kompromiss
+  const opposing = feet.length > 1 && feet[0].id !== feet[1].id && feet.every(f => f.id !== 'neutral');
+  return {
+    explanation: sides + (opposing
+      ? t('ai.rules.opposing', { left: feet[0].shoeType, right: feet[1].shoeType, risks })
+      : t('ai.rules.explanation', { name: diagnosis.name, description: diagnosis.description, risks, shoeType: diagnosis.shoeType })),
+    shoes: RULE_SHOES[diagnosis.id],
+    exercise: t(`ai.rules.exercises.${diagnosis.id}`)
+  };
+};
+
+// --- Provider-Registry ---
+const PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    async generate({ system, prompt }, config, signal) {
+      if (!config.geminiKey) throw new ProviderError(t('ai.errors.noGeminiKey'), { retryable: false });
+      const data = await postJson(`https://generativelanguage.googleapis.com/v1beta/models/${config.geminiModel}:generateContent?key=${config.geminiKey}`, {
+        contents: [{ parts: [{ text: prompt }] }],
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: { responseMimeType: 'application/json' }
+      }, {}, signal);
+      return parseJsonText(data?.candidates?.[0]?.content?.parts?.[0]?.text);
+    }
+  },
+  openai: {
+    get label() { return t('ai.providers.openai'); },
+    async generate({ system, prompt }, config, signal) {
+      const data = await postJson(`${config.openaiBaseUrl}/chat/completions`, {
+        model: config.openaiModel,
+        messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+        response_format: { type: 'json_object' }
+      }, config.openaiKey ? { Authorization: `Bearer ${config.openaiKey}` } : {}, signal);
+      return parseJsonText(data?.choices?.[0]?.message?.content);
+    }
+  },
+  rules: {
+    get label() { return t('ai.providers.rules'); },
+    async generate(input) {
+      return ruleRecommendation(input);
+    }
+  }
+};
+
+export const registerProvider = (id, provider) => { PROVIDERS[id] = provider; };
+
+export const getProviderLabel = (id) => PROVIDERS[id]?.label || id;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generateWithTimeout = async (provider, input, config) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeout);
+  try {
+    return validateRecommendation(await provider.generate(input, config, controller.signal));
+  } catch (e) {
+    if (controller.signal.aborted) throw new ProviderError(t('ai.errors.timeout', { seconds: Math.round(config.timeout / 1000) }));
+    if (e instanceof ProviderError) throw e;
+    throw new ProviderError(t('ai.errors.unreachable', { message: e.message }));
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Fragt den konfigurierten Provider an (mit Wiederholungen bei vorübergehenden Fehlern).
+ * Schlägt er fehl, liefert der regelbasierte Provider die Empfehlung und `error` den Grund.
+ * Ergebnis: { data, provider, fallback, error }.
+ */
+export const requestRecommendation = async (input, overrides = {}) => {
+  const config = { ...getProviderConfig(), ...overrides };
+  const provider = PROVIDERS[config.provider];
+  const retries = retryCount(config.retries);
+  let error = provider ? null : new ProviderError(t('ai.errors.unknownProvider', { provider: config.provider }), { retryable: false });
+
+  for (let attempt = 0; provider && attempt <= retries; attempt++) {
+    try {
+      return { data: await generateWithTimeout(provider, input, config), provider: config.provider, fallback: false, error: null };
+    } catch (e) {
+      error = e;
+      if (!e.retryable) break;
+      if (attempt < retries) await wait(500 * 2 ** attempt);
+    }
+  }
+  if (config.provider === 'rules' || config.fallback === false) return { data: null, provider: config.provider, fallback: false, error: error?.message ?? null };
+  return { data: validateRecommendation(ruleRecommendation(input)), provider: 'rules', fallback: true, error: error?.message ?? null };
+};
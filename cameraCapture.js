@@ -0,0 +1,144 @@
+/**
+ * KAMERA-AUFNAHME
+ * Live-Bild über getUserMedia mit Fuß-Schablone und Echtzeit-Rückmeldung zu Belichtung,
+ * Kontrast und Bildausschnitt (gleicher Schwellwert-Pass wie Punktwolke und Landmarken).
+ * Die Stream-Quelle ist austauschbar; mit VITE_FAKE_CAMERA liefert createFakeStream ein Testbild.
+ */
+import { getThreshold, sampleGrayscale, buildMask, segmentFootprint } from './footprint.js';
+import { t } from './i18n.js';
+
+const env = import.meta.env || {};
+
+const ANALYSIS_SIZE = 160;
+const MIN_PRINT_SHARE = 0.01;
+
+export const CAMERA_CONSTRAINTS = { audio: false, video: { facingMode: 'environment', width: { ideal: 1920 }, height: { ideal: 1080 } } };
+
+// Schablone: Höhe relativ zur Bildhöhe, Breite relativ zur eigenen Höhe (viewBox 0 0 40 100)
+export const GUIDE_HEIGHT = 0.86;
+export const GUIDE_ASPECT = 0.4;
+export const FOOT_OUTLINE_PATH = 'M20 2 C30 2 36 10 36 22 C36 34 32 42 30 52 C28 62 31 72 31 82 C31 93 26 98 19 98 C12 98 8 93 8 84 C8 74 11 64 10 54 C9 44 4 34 4 22 C4 10 10 2 20 2 Z';
+
+// Bezeichnungen und Hinweise je Zustand im Katalog unter camera.checks
+export const CHECK_KEYS = ['lighting', 'contrast', 'fill'];
+
+const LIGHTING_LIMITS = { dark: 70, bright: 235 };
+const MIN_SEPARATION = 40;
+const FILL_LIMITS = { small: 0.7, large: 1.1, offcenter: 0.12 };
+
+export const guideRect = (width, height) => {
+  const h = height * GUIDE_HEIGHT;
+  const w = Math.min(width, h * GUIDE_ASPECT);
+  return { x: (width - w) / 2, y: (height - h) / 2, w, h };
+};
+
+export const openCamera = async ({ mediaDevices = globalThis.navigator?.mediaDevices, constraints = CAMERA_CONSTRAINTS } = {}) => {
+  if (!mediaDevices?.getUserMedia) throw new Error(t('camera.errors.unsupported'));
+  try {
+    return await mediaDevices.getUserMedia(constraints);
+  } catch (e) {
+    if (e.name === 'NotAllowedError') throw new Error(t('camera.errors.denied'));
+    if (e.name === 'NotFoundError' || e.name === 'OverconstrainedError') throw new Error(t('camera.errors.notFound'));
+    throw e;
+  }
+};
+
+export const stopStream = (stream) => stream.getTracks().forEach(track => track.stop());
+
+/**
+ * Öffnet einen Stream über die austauschbare Quelle `openStream` und reicht ihn an `onStream` weiter.
+ * Die zurückgegebene Funktion beendet ihn – auch, wenn er erst nach dem Abbruch eintrifft.
+ */
+export const connectStream = (openStream, { onStream, onError }) => {
+  let stream = null, cancelled = false;
+  openStream().then(s => {
+    if (cancelled) { stopStream(s); return; }
+    stream = s;
+    return onStream(s);
+  }).catch(e => { if (!cancelled) onError(e); });
+  return () => { cancelled = true; if (stream) stopStream(stream); };
+};
+
+/**
+ * Bewertet ein Einzelbild. `gray` sind die RGBA-Daten ohne Kontrastanhebung (für Licht und Kontrast),
+ * `segmentation` das Ergebnis von segmentFootprint auf dem Schwellwert-Pass (für den Ausschnitt).
+ */
+export const evaluateFrame = ({ gray, segmentation, width, height }) => {
+  const n = width * height;
+  let sum = 0, printSum = 0, printCount = 0;
+  for (let i = 0; i < n; i++) {
+    const v = gray[i * 4];
+    sum += v;
+    if (segmentation?.mask[i]) { printSum += v; printCount++; }
+  }
+  const brightness = sum / n;
+  const separation = printCount && printCount < n ? (sum - printSum) / (n - printCount) - printSum / printCount : 0;
+
+  let fill = 'none', coverage = 0;
+  if (segmentation && printCount >= n * MIN_PRINT_SHARE) {
+    const { components, top, bottom } = segmentation;
+    const left = Math.min(...components.map(c => c.minX)), right = Math.max(...components.map(c => c.maxX));
+    coverage = (bottom - top + 1) / guideRect(width, height).h;
+    const offset = Math.abs((left + right) / 2 - width / 2) / width + Math.abs((top + bottom) / 2 - height / 2) / height;
+    if (top <= 0 || left <= 0 || bottom >= height - 1 || right >= width - 1) fill = 'clipped';
+    else if (coverage < FILL_LIMITS.small) fill = 'small';
+    else if (coverage > FILL_LIMITS.large) fill = 'large';
+    else fill = offset > FILL_LIMITS.offcenter ? 'offcenter' : 'ok';
+  }
+
+  const checks = {
+    lighting: brightness < LIGHTING_LIMITS.dark ? 'dark' : (brightness > LIGHTING_LIMITS.bright ? 'bright' : 'ok'),
+    contrast: separation >= MIN_SEPARATION ? 'ok' : 'low',
+    fill
+  };
+  return { brightness, separation, coverage, checks, ok: Object.values(checks).every(c => c === 'ok') };
+};
+
+// `source` kann ein Video-, Bild- oder Canvas-Element sein; `sample` liefert die Graustufen (austauschbar für Tests)
+export const analyzeFrame = (source, sourceWidth, sourceHeight, { sensitivity, contrast }, sample = sampleGrayscale) => {
+  const scale = ANALYSIS_SIZE / Math.max(sourceWidth, sourceHeight);
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+  const gray = sample(source, width, height, 100).data;
+  const segmentation = segmentFootprint(buildMask(sample(source, width, height, contrast), getThreshold(sensitivity)));
+  return evaluateFrame({ gray, segmentation, width, height });
+};
+
+// Aktuelles Videobild in voller Auflösung als Datei für processFile
+export const captureFrame = (video) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0);
+  canvas.toBlob(blob => blob ? resolve(new File([blob], t('camera.filename', { time: Date.now() }), { type: 'image/jpeg' })) : reject(new Error(t('camera.errors.capture'))), 'image/jpeg', 0.92);
+});
+
+// Synthetischer Stream (Papier mit Fußabdruck und leichtem Rauschen) für Tests ohne Kamera
+export const createFakeStream = ({ width = 1280, height = 720, fps = 15 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const guide = guideRect(width, height);
+  const outline = new Path2D(FOOT_OUTLINE_PATH);
+  const stream = canvas.captureStream(fps);
+  const [track] = stream.getVideoTracks();
+  const draw = () => {
+    if (track.readyState === 'ended') { clearInterval(timer); return; }
+    ctx.fillStyle = '#f1f1ee';
+    ctx.fillRect(0, 0, width, height);
+    ctx.save();
+    ctx.translate(guide.x + (Math.random() - 0.5) * 4, guide.y + (Math.random() - 0.5) * 4);
+    ctx.scale(guide.w / 40, guide.h / 100);
+    ctx.fillStyle = '#1e1e24';
+    ctx.fill(outline);
+    ctx.restore();
+  };
+  const timer = setInterval(draw, 1000 / fps);
+  draw();
+  return stream;
+};
+
+export const fakeCamera = async () => createFakeStream();
+
+export const defaultStreamSource = env.VITE_FAKE_CAMERA ? fakeCamera : () => openCamera();
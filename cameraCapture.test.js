@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CAMERA_CONSTRAINTS, openCamera, connectStream, analyzeFrame, evaluateFrame } from './cameraCapture.js';
+import { setLanguage } from './i18n.js';
+
+setLanguage('de');
+
+const OPTIONS = { sensitivity: 50, contrast: 100 };
+const WIDTH = 120, HEIGHT = 160;
+
+// Papier mit rechteckigem Abdruck; `print` in Anteilen der Bildgröße
+const paperFrame = ({ paper = 220, ink = 30, print = { x: 0.35, y: 0.1, w: 0.3, h: 0.8 } } = {}) => ({ width, height }) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const x0 = Math.round(print.x * width), x1 = Math.round((print.x + print.w) * width);
+  const y0 = Math.round(print.y * height), y1 = Math.round((print.y + print.h) * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = print.w && x >= x0 && x < x1 && y >= y0 && y < y1 ? ink : paper;
+      data.set([v, v, v, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+};
+
+// Ersetzt sampleGrayscale: die Quelle ist hier der Bildgenerator selbst
+const sampleFake = (source, width, height) => source({ width, height });
+
+const checksFor = (frame) => analyzeFrame(frame, WIDTH, HEIGHT, OPTIONS, sampleFake).checks;
+
+// Track/Stream-Attrappen nach dem MediaStream-Interface
+const fakeStream = () => {
+  const track = { readyState: 'live', stop() { this.readyState = 'ended'; } };
+  return { track, getTracks: () => [track] };
+};
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const mediaError = (name) => Object.assign(new Error(name), { name });
+
+// --- Kamera öffnen ---
+test('openCamera fragt die Rückkamera ohne Ton an', async () => {
+  const stream = fakeStream();
+  let requested = null;
+  const mediaDevices = { getUserMedia: async (constraints) => { requested = constraints; return stream; } };
+  assert.equal(await openCamera({ mediaDevices }), stream);
+  assert.deepEqual(requested, CAMERA_CONSTRAINTS);
+});
+
+test('openCamera übersetzt Kamerafehler', async () => {
+  const failing = (name) => ({ getUserMedia: async () => { throw mediaError(name); } });
+  await assert.rejects(openCamera({ mediaDevices: {} }), { message: 'Kamera wird von diesem Browser nicht unterstützt (HTTPS erforderlich).' });
+  await assert.rejects(openCamera({ mediaDevices: failing('NotAllowedError') }), { message: 'Kamerazugriff wurde verweigert.' });
+  await assert.rejects(openCamera({ mediaDevices: failing('NotFoundError') }), { message: 'Keine passende Kamera gefunden.' });
+  await assert.rejects(openCamera({ mediaDevices: failing('OverconstrainedError') }), { message: 'Keine passende Kamera gefunden.' });
+  await assert.rejects(openCamera({ mediaDevices: failing('AbortError') }), { name: 'AbortError' });
+});
+
+// --- Austauschbare Stream-Quelle ---
+test('connectStream reicht den Stream weiter und beendet ihn beim Abbruch', async () => {
+  const stream = fakeStream();
+  const received = [];
+  const disconnect = connectStream(async () => stream, { onStream: s => received.push(s), onError: assert.fail });
+  await flush();
+  assert.deepEqual(received, [stream]);
+  assert.equal(stream.track.readyState, 'live');
+  disconnect();
+  assert.equal(stream.track.readyState, 'ended');
+});
+
+test('connectStream beendet einen erst nach dem Abbruch gelieferten Stream', async () => {
+  const stream = fakeStream();
+  const pending = deferred();
+  const disconnect = connectStream(() => pending.promise, { onStream: assert.fail, onError: assert.fail });
+  disconnect();
+  pending.resolve(stream);
+  await flush();
+  assert.equal(stream.track.readyState, 'ended');
+});
+
+test('connectStream meldet Fehler nur, solange die Verbindung besteht', async () => {
+  const errors = [];
+  connectStream(() => openCamera({ mediaDevices: { getUserMedia: async () => { throw mediaError('NotAllowedError'); } } }), { onStream: assert.fail, onError: e => errors.push(e.message) });
+  await flush();
+  assert.deepEqual(errors, ['Kamerazugriff wurde verweigert.']);
+
+  const pending = deferred();
+  connectStream(() => pending.promise, { onStream: assert.fail, onError: assert.fail })();
+  pending.reject(new Error('zu spät'));
+  await flush();
+});
+
+// --- Belichtung und Kontrast ---
+test('gut belichteter, kontrastreicher Abdruck in der Schablone', () => {
+  const result = analyzeFrame(paperFrame(), WIDTH, HEIGHT, OPTIONS, sampleFake);
+  assert.deepEqual(result.checks, { lighting: 'ok', contrast: 'ok', fill: 'ok' });
+  assert.equal(result.ok, true);
+  assert.ok(result.coverage > 0.9 && result.coverage < 1);
+});
+
+test('zu dunkles und überbelichtetes Bild', () => {
+  assert.equal(checksFor(paperFrame({ paper: 60, ink: 10 })).lighting, 'dark');
+  assert.equal(checksFor(paperFrame({ paper: 255, ink: 120, print: { x: 0.45, y: 0.3, w: 0.1, h: 0.4 } })).lighting, 'bright');
+});
+
+test('zu geringer Kontrast zwischen Abdruck und Papier', () => {
+  const result = analyzeFrame(paperFrame({ paper: 150, ink: 125 }), WIDTH, HEIGHT, OPTIONS, sampleFake);
+  assert.equal(result.checks.contrast, 'low');
+  assert.equal(result.checks.fill, 'ok');
+  assert.equal(result.ok, false);
+});
+
+// --- Bildausschnitt ---
+test('ohne Abdruck', () => {
+  assert.deepEqual(checksFor(paperFrame({ print: { x: 0, y: 0, w: 0, h: 0 } })), { lighting: 'ok', contrast: 'low', fill: 'none' });
+});
+
+test('Abdruck zu klein, zu groß, abgeschnitten oder außermittig', () => {
+  assert.equal(checksFor(paperFrame({ print: { x: 0.4, y: 0.3, w: 0.2, h: 0.4 } })).fill, 'small');
+  assert.equal(checksFor(paperFrame({ print: { x: 0.35, y: 0.01, w: 0.3, h: 0.98 } })).fill, 'large');
+  assert.equal(checksFor(paperFrame({ print: { x: 0.35, y: 0, w: 0.3, h: 0.8 } })).fill, 'clipped');
+  assert.equal(checksFor(paperFrame({ print: { x: 0.6, y: 0.1, w: 0.3, h: 0.8 } })).fill, 'offcenter');
+});
+
+test('evaluateFrame ohne Segmentierung', () => {
+  const { data: gray } = paperFrame()({ width: WIDTH, height: HEIGHT });
+  const result = evaluateFrame({ gray, segmentation: null, width: WIDTH, height: HEIGHT });
+  assert.deepEqual(result.checks, { lighting: 'ok', contrast: 'low', fill: 'none' });
+  assert.equal(result.coverage, 0);
+});
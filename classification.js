@@ -0,0 +1,123 @@
+/**
+ * KLASSIFIKATION
+ * Fußtyp (flat / neutral / high) aus CSI, SI, Arch Index und Clarke-Winkel anhand wählbarer
+ * Grenzwert-Profile, mit Konfidenz, Grenzbefund und Begründung. Die Texte kommen aus i18n.js; das liest
+ * beim Laden Sprache aus localStorage/navigator, fällt ohne beides (Node, Worker) aber auf Deutsch zurück.
+ *
+ * Arch Index nach Cavanagh & Rodgers (1987), Clarke-Winkel nach Clarke (1933).
+ * Beim Clarke-Winkel spricht ein kleiner Wert für den Senkfuß, bei allen anderen Indizes ein großer.
+ */
+import { t } from './i18n.js';
+
+export const INDEX_KEYS = ['csi', 'si', 'archIndex', 'clarkeAngle'];
+// Ergebnis-IDs, zugleich die möglichen Stimmen der Indizes
+export const FOOT_TYPE_IDS = ['flat', 'neutral', 'high'];
+
+export const indexLabel = (key) => t(`classification.indices.${key}`);
+export const voteLabel = (vote) => t(`classification.votes.${vote}`);
+// Bezeichnung der Senkfuß- bzw. Hohlfuß-Grenze
+export const limitLabel = (bound) => t(`classification.limits.${bound}`);
+
+const INVERTED = { clarkeAngle: true };
+const DECIMALS = { clarkeAngle: 1 };
+const UNITS = { clarkeAngle: '°' };
+
+export const PROFILES = {
+  adult: {
+    id: 'adult',
+    limits: { csi: { flat: 0.55, high: 0.25 }, si: { flat: 0.75, high: 0.4 }, archIndex: { flat: 0.26, high: 0.21 }, clarkeAngle: { flat: 31, high: 45 } }
+  },
+  // Bei Kindern ist eine breitere Mittelfußauflage physiologisch, das Gewölbe bildet sich bis ca. 10 Jahre aus
+  child: {
+    id: 'child',
+    limits: { csi: { flat: 0.62, high: 0.25 }, si: { flat: 0.9, high: 0.45 }, archIndex: { flat: 0.28, high: 0.21 }, clarkeAngle: { flat: 25, high: 42 } }
+  }
+};
+
+export const CUSTOM_PROFILE_ID = 'custom';
+
+export const profileLabel = (id) => t(`classification.profiles.${PROFILES[id] ? id : CUSTOM_PROFILE_ID}`);
+
+// Eigenes Praxis-Profil; die Grenzwerte müssen je Index in die richtige Richtung zeigen
+export const createCustomProfile = (limits) => {
+  for (const key of INDEX_KEYS) {
+    const { flat, high } = limits[key] || {};
+    if (!Number.isFinite(flat) || !Number.isFinite(high)) throw new Error(t('classification.errors.missing', { index: indexLabel(key) }));
+    if (INVERTED[key] ? flat >= high : flat <= high) throw new Error(t(`classification.errors.${INVERTED[key] ? 'flatBelowHigh' : 'flatAboveHigh'}`, { index: indexLabel(key) }));
+  }
+  return { id: CUSTOM_PROFILE_ID, limits };
+};
+
+export const resolveProfile = (id, customLimits) => id === CUSTOM_PROFILE_ID ? createCustomProfile(customLimits) : (PROFILES[id] || PROFILES.adult);
+
+const voteFor = (key, value, { flat, high }) => {
+  const s = INVERTED[key] ? -1 : 1;
+  if (s * value >= s * flat) return 'flat';
+  if (s * value <= s * high) return 'high';
+  return 'neutral';
+};
+
+// Abstand zur maßgeblichen Grenze im Verhältnis zur halben Neutralzone, begrenzt auf 0..1
+const marginFor = (key, value, vote, { flat, high }) => {
+  const halfBand = Math.abs(flat - high) / 2;
+  const distance = vote === 'neutral' ? Math.min(Math.abs(value - flat), Math.abs(value - high)) : Math.abs(value - (vote === 'flat' ? flat : high));
+  return Math.min(1, distance / halfBand);
+};
+
+/**
+ * Klassifiziert einen Fuß. `metrics` enthält die Indizes als Zahlen; Arch Index und Clarke-Winkel sind optional.
+ *
+ * - CSI und SI bilden gemeinsam das Balken-Votum (Senkfuß, sobald einer der beiden die Senkfuß-Grenze erreicht).
+ * - Arch Index und Clarke-Winkel stimmen einzeln ab; es entscheidet die Mehrheit, ohne Mehrheit das Balken-Votum.
+ * - `borderline`: CSI und SI widersprechen sich.
+ * - `confidence` (0..1): Anteil der Indizes, die dem Ergebnis zustimmen, gewichtet mit ihrem Abstand zur Grenze.
+ * - `driver`: der zustimmende Index mit dem größten Abstand zur Grenze.
+ */
+export const classifyFoot = (metrics, profile = PROFILES.adult) => {
+  const indices = INDEX_KEYS.filter(key => Number.isFinite(metrics[key])).map(key => {
+    const value = metrics[key];
+    const limits = profile.limits[key];
+    const vote = voteFor(key, value, limits);
+    return { key, value, vote, limits, distance: { flat: value - limits.flat, high: value - limits.high }, margin: marginFor(key, value, vote, limits) };
+  });
+  const byKey = Object.fromEntries(indices.map(i => [i.key, i]));
+
+  const barVotes = [byKey.csi?.vote, byKey.si?.vote].filter(Boolean);
+  const barVote = barVotes.includes('flat') ? 'flat' : (barVotes.includes('high') ? 'high' : 'neutral');
+  const votes = [barVote, ...indices.filter(i => i.key !== 'csi' && i.key !== 'si').map(i => i.vote)];
+  const type = FOOT_TYPE_IDS.find(k => votes.filter(v => v === k).length * 2 > votes.length) || barVote;
+
+  const agreeing = indices.filter(i => i.vote === type);
+  const confidence = indices.length ? agreeing.reduce((sum, i) => sum + 0.5 + 0.5 * i.margin, 0) / indices.length : 0;
+  const driver = agreeing.reduce((best, i) => (!best || i.margin > best.margin ? i : best), null);
+
+  return {
+    type,
+    profile: profile.id,
+    confidence: Math.round(confidence * 100) / 100,
+    borderline: !!(byKey.csi && byKey.si && byKey.csi.vote !== byKey.si.vote),
+    driver: driver?.key ?? null,
+    indices
+  };
+};
+
+export const formatIndex = (key, value) => `${value.toFixed(DECIMALS[key] ?? 2)}${UNITS[key] || ''}`;
+
+export const formatDistance = (key, distance) => `${distance >= 0 ? '+' : '−'}${Math.abs(distance).toFixed(DECIMALS[key] ?? 2)}`;
+
+// Begründung in einem Satz, z. B. „SI 0.82 liegt 0.07 über der Senkfuß-Grenze 0.75.“
+export const describeDecision = (classification) => {
+  const driver = classification.indices.find(i => i.key === classification.driver);
+  if (!driver) return t('classification.decision.none');
+  const index = `${indexLabel(driver.key)} ${formatIndex(driver.key, driver.value)}`;
+  const relation = (bound) => {
+    const distance = driver.distance[bound];
+    return t(`classification.decision.${distance >= 0 ? 'above' : 'below'}`, {
+      distance: Math.abs(distance).toFixed(DECIMALS[driver.key] ?? 2),
+      limit: limitLabel(bound),
+      value: formatIndex(driver.key, driver.limits[bound])
+    });
+  };
+  if (driver.vote === 'neutral') return t('classification.decision.between', { index, flat: relation('flat'), high: relation('high') });
+  return t('classification.decision.single', { index, relation: relation(driver.vote) });
+};
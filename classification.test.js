@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILES, CUSTOM_PROFILE_ID, classifyFoot, createCustomProfile, resolveProfile, describeDecision } from './classification.js';
+import { setLanguage } from './i18n.js';
+
+setLanguage('de');
+
+const ADULT_LIMITS = PROFILES.adult.limits;
+const customLimits = (overrides = {}) => ({ ...structuredClone(ADULT_LIMITS), ...overrides });
+
+// --- Grenzwerte ---
+test('Grenzwerte zählen zur jeweiligen Abweichung', () => {
+  assert.equal(classifyFoot({ csi: 0.55, si: 0.75 }).type, 'flat');
+  assert.equal(classifyFoot({ csi: 0.25, si: 0.4 }).type, 'high');
+  assert.equal(classifyFoot({ csi: 0.549, si: 0.749 }).type, 'neutral');
+  assert.equal(classifyFoot({ csi: 0.251, si: 0.401 }).type, 'neutral');
+});
+
+test('beim Clarke-Winkel spricht ein kleiner Wert für den Senkfuß', () => {
+  const vote = (clarkeAngle) => classifyFoot({ csi: 0.4, si: 0.6, clarkeAngle }).indices.find(i => i.key === 'clarkeAngle').vote;
+  assert.equal(vote(31), 'flat');
+  assert.equal(vote(38), 'neutral');
+  assert.equal(vote(45), 'high');
+});
+
+test('das Kinderprofil toleriert eine breitere Mittelfußauflage', () => {
+  const metrics = { csi: 0.58, si: 0.8 };
+  assert.equal(classifyFoot(metrics, PROFILES.adult).type, 'flat');
+  assert.equal(classifyFoot(metrics, PROFILES.child).type, 'neutral');
+  assert.equal(classifyFoot(metrics, PROFILES.child).profile, 'child');
+});
+
+// --- Mehrheit und Grenzbefund ---
+test('Arch Index und Clarke-Winkel überstimmen das Balken-Votum', () => {
+  const result = classifyFoot({ csi: 0.4, si: 0.6, archIndex: 0.27, clarkeAngle: 30 });
+  assert.equal(result.type, 'flat');
+  assert.equal(result.driver, 'archIndex');
+});
+
+test('ohne Mehrheit entscheidet das Balken-Votum', () => {
+  assert.equal(classifyFoot({ csi: 0.6, si: 0.8, archIndex: 0.23, clarkeAngle: 46 }).type, 'flat');
+});
+
+test('Grenzbefund, wenn CSI und SI sich widersprechen', () => {
+  const result = classifyFoot({ csi: 0.4, si: 0.8 });
+  assert.equal(result.type, 'flat');
+  assert.equal(result.borderline, true);
+  assert.equal(result.driver, 'si');
+  assert.equal(classifyFoot({ csi: 0.6, si: 0.8 }).borderline, false);
+  assert.equal(classifyFoot({ csi: 0.6 }).borderline, false);
+});
+
+// --- Konfidenz ---
+test('Konfidenz sinkt nahe an der Grenze', () => {
+  const near = classifyFoot({ csi: 0.551, si: 0.751 });
+  const deep = classifyFoot({ csi: 0.9, si: 1.2 });
+  assert.equal(near.type, 'flat');
+  assert.equal(near.confidence, 0.5);
+  assert.equal(deep.confidence, 1);
+});
+
+test('Konfidenz berücksichtigt widersprechende Indizes', () => {
+  // Nur der SI stimmt zu: (0.5 + 0.5 · 0.05 / 0.175) / 2
+  assert.equal(classifyFoot({ csi: 0.4, si: 0.8 }).confidence, 0.32);
+  assert.equal(classifyFoot({ csi: 0.4, si: 0.575 }).confidence, 1);
+});
+
+test('ohne Indizes gibt es weder Konfidenz noch Begründung', () => {
+  const result = classifyFoot({});
+  assert.equal(result.type, 'neutral');
+  assert.equal(result.confidence, 0);
+  assert.equal(result.driver, null);
+  assert.equal(describeDecision(result), 'Kein Index stützt das Ergebnis eindeutig.');
+});
+
+test('Begründung nennt den maßgeblichen Index und den Abstand zur Grenze', () => {
+  const result = classifyFoot({ csi: 0.6, si: 0.82, archIndex: 0.27, clarkeAngle: 35 });
+  assert.equal(describeDecision(result), 'Arch Index 0.27 liegt 0.01 über der Senkfuß-Grenze 0.26.');
+});
+
+// --- Eigene Profile ---
+test('eigenes Profil mit gültigen Grenzwerten', () => {
+  const limits = customLimits({ csi: { flat: 0.6, high: 0.3 } });
+  const profile = createCustomProfile(limits);
+  assert.deepEqual(profile, { id: CUSTOM_PROFILE_ID, limits });
+  assert.equal(classifyFoot({ csi: 0.58, si: 0.6 }, profile).type, 'neutral');
+  assert.equal(classifyFoot({ csi: 0.58, si: 0.6 }, profile).profile, CUSTOM_PROFILE_ID);
+});
+
+test('eigenes Profil ohne Grenzwerte wird abgelehnt', () => {
+  const limits = customLimits();
+  delete limits.archIndex;
+  assert.throws(() => createCustomProfile(limits), { message: 'Arch Index: Grenzwerte fehlen.' });
+  assert.throws(() => createCustomProfile(customLimits({ si: { flat: Number.NaN, high: 0.4 } })), { message: 'SI: Grenzwerte fehlen.' });
+});
+
+test('eigenes Profil mit vertauschten Grenzwerten wird abgelehnt', () => {
+  assert.throws(() => createCustomProfile(customLimits({ csi: { flat: 0.25, high: 0.25 } })), { message: /^CSI: .*über/ });
+  assert.throws(() => createCustomProfile(customLimits({ clarkeAngle: { flat: 45, high: 31 } })), { message: /^Clarke-Winkel: .*unter/ });
+});
+
+test('resolveProfile wählt Profil, fällt auf Erwachsene zurück und prüft eigene Grenzwerte', () => {
+  assert.equal(resolveProfile('child'), PROFILES.child);
+  assert.equal(resolveProfile('unbekannt'), PROFILES.adult);
+  assert.equal(resolveProfile(CUSTOM_PROFILE_ID, customLimits()).id, CUSTOM_PROFILE_ID);
+  assert.throws(() => resolveProfile(CUSTOM_PROFILE_ID, {}));
+});
@@ -0,0 +1,275 @@
+/**
+ * FOOTPRINT VISION
+ * Gemeinsamer Graustufen-/Schwellwert-Pass für Punktwolke und Landmarken-Erkennung.
+ * Alle Positionen werden – wie bei den Messbalken – in Prozent der Bildgröße geliefert.
+ */
+
+export const MESH_SCALE = 0.25;
+export const DETECTION_SIZE = 240;
+export const MEASURE_SIZE = 480;
+
+// Abschnitte entlang der Fußlänge (0 = Zehenspitze, 1 = Fersenende)
+const ZONES = {
+  forefoot: [0.12, 0.45],
+  arch: [0.4, 0.7],
+  heel: [0.7, 0.95]
+};
+
+// Kleine, separate Flächen im vorderen Drittel gelten als Zehen
+const TOE_REGION = 0.3;
+const TOE_MAX_SHARE = 0.15;
+// Kleinere Mindestfläche für die Kontaktflächen-Messung, damit einzelne Zehenballen in die Gesamtlänge (Kalibrierung) eingehen
+const TOE_MIN_SHARE = 0.005;
+
+export const getThreshold = (sensitivity) => 40 + (sensitivity * 2.0);
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = "Anonymous";
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+// Im Web Worker gibt es kein document; dort wird ein OffscreenCanvas verwendet.
+// Größen werden auf ganze Pixel (mindestens 1) gerundet.
+export const createCanvas = (width, height) => {
+  const w = Math.max(1, Math.round(width)), h = Math.max(1, Math.round(height));
+  if (typeof document === 'undefined') return new OffscreenCanvas(w, h);
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  return canvas;
+};
+
+// `img` kann ein HTMLImageElement oder ein ImageBitmap sein
+export const sampleGrayscale = (img, width, height, contrast) => {
+  const ctx = createCanvas(width, height).getContext('2d');
+  ctx.filter = `contrast(${contrast}%) grayscale(100%) brightness(1.1)`;
+  ctx.drawImage(img, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+export const buildMask = ({ data, width, height }, threshold) => {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) mask[i] = data[i * 4] < threshold ? 1 : 0;
+  return { mask, width, height };
+};
+
+// Zusammenhängende Flächen (8er-Nachbarschaft); kleine Flecken werden als Rauschen verworfen.
+export const segmentFootprint = ({ mask, width, height }, minShare = 0.02) => {
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    const comp = { id: components.length + 1, area: 0, minX: width, maxX: 0, minY: height, maxY: 0 };
+    labels[start] = comp.id;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      const x = i % width, y = (i - x) / width;
+      comp.area++;
+      comp.minX = Math.min(comp.minX, x); comp.maxX = Math.max(comp.maxX, x);
+      comp.minY = Math.min(comp.minY, y); comp.maxY = Math.max(comp.maxY, y);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const n = ny * width + nx;
+          if (mask[n] && !labels[n]) { labels[n] = comp.id; stack.push(n); }
+        }
+      }
+    }
+    components.push(comp);
+  }
+  if (!components.length) return null;
+
+  const largest = Math.max(...components.map(c => c.area));
+  const kept = components.filter(c => c.area >= Math.max(4, largest * minShare));
+  const keep = new Set(kept.map(c => c.id));
+  const clean = new Uint8Array(width * height);
+  for (let i = 0; i < clean.length; i++) if (keep.has(labels[i])) clean[i] = 1;
+
+  return {
+    mask: clean, labels, width, height, components: kept,
+    top: Math.min(...kept.map(c => c.minY)),
+    bottom: Math.max(...kept.map(c => c.maxY))
+  };
+};
+
+export const getRowSpans = ({ mask, width, height }) => {
+  const spans = [];
+  for (let y = 0; y < height; y++) {
+    let left = -1, right = -1;
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) continue;
+      if (left < 0) left = x;
+      right = x;
+    }
+    spans.push(left < 0 ? { left: 0, right: -1, width: 0 } : { left, right, width: right - left + 1 });
+  }
+  return spans;
+};
+
+export const detectLandmarks = (segmentation) => {
+  if (!segmentation) return null;
+  const { width, height, top, bottom } = segmentation;
+  const length = bottom - top + 1;
+  if (length < 10) return null;
+
+  const spans = getRowSpans(segmentation);
+  const smoothed = spans.map((_, y) => {
+    const rows = spans.slice(Math.max(0, y - 1), y + 2);
+    return rows.reduce((sum, r) => sum + r.width, 0) / rows.length;
+  });
+
+  const pickRow = ([from, to], widest) => {
+    let best = -1;
+    for (let y = Math.round(top + from * length); y <= Math.round(top + to * length); y++) {
+      if (best < 0 || (widest ? smoothed[y] > smoothed[best] : smoothed[y] < smoothed[best])) best = y;
+    }
+    return best;
+  };
+  const toTool = (row, fallbackCenter) => {
+    const span = spans[row];
+    const y = ((row + 0.5) / height) * 100;
+    if (!span.width) return { y, x: (fallbackCenter / width) * 100, width: 0 };
+    return { y, x: (span.left / width) * 100, width: (span.width / width) * 100 };
+  };
+
+  const forefootRow = pickRow(ZONES.forefoot, true);
+  const heelRow = pickRow(ZONES.heel, true);
+  const archRow = pickRow(ZONES.arch, false);
+  if (!spans[forefootRow].width || !spans[heelRow].width) return null;
+
+  const center = (span) => (span.left + span.right + 1) / 2;
+  return {
+    forefoot: toTool(forefootRow),
+    arch: toTool(archRow, (center(spans[forefootRow]) + center(spans[heelRow])) / 2),
+    heel: toTool(heelRow)
+  };
+};
+
+const splitToes = ({ components, top, bottom }) => {
+  const length = bottom - top + 1;
+  const largest = Math.max(...components.map(c => c.area));
+  const isToe = (c) => c.maxY < top + TOE_REGION * length && c.area < largest * TOE_MAX_SHARE;
+  return { toes: components.filter(isToe), body: components.filter(c => !isToe(c)) };
+};
+
+/**
+ * Kontaktflächen-Metriken entlang der Fußlängsachse (Hauptachse der Fläche ohne Zehen):
+ * Arch Index nach Cavanagh & Rodgers (Mittelfuß-Drittel / Gesamtfläche),
+ * Clarke-Winkel am medialen Rand sowie echte Min./Max.-Breiten senkrecht zur Achse.
+ */
+export const measureFootprint = (segmentation) => {
+  if (!segmentation) return null;
+  const { mask, labels, width, height } = segmentation;
+  const body = new Set(splitToes(segmentation).body.map(c => c.id));
+
+  let n = 0, mx = 0, my = 0;
+  for (let i = 0; i < labels.length; i++) {
+    if (!body.has(labels[i])) continue;
+    n++; mx += i % width; my += Math.floor(i / width);
+  }
+  if (n < 50) return null;
+  mx /= n; my /= n;
+
+  let sxx = 0, syy = 0, sxy = 0;
+  for (let i = 0; i < labels.length; i++) {
+    if (!body.has(labels[i])) continue;
+    const dx = (i % width) - mx, dy = Math.floor(i / width) - my;
+    sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+  }
+  const theta = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  // Achse zeigt von der Ferse zu den Zehen (im Bild nach oben)
+  let ax = Math.cos(theta), ay = Math.sin(theta);
+  if (ay > 0) { ax = -ax; ay = -ay; }
+
+  const project = (i) => {
+    const dx = (i % width) - mx, dy = Math.floor(i / width) - my;
+    return { u: dx * ax + dy * ay, v: dy * ax - dx * ay };
+  };
+  let uMin = Infinity, uMax = -Infinity;
+  for (let i = 0; i < labels.length; i++) {
+    if (!body.has(labels[i])) continue;
+    const { u } = project(i);
+    uMin = Math.min(uMin, u); uMax = Math.max(uMax, u);
+  }
+  // Gesamtlänge inklusive Zehen entlang derselben Achse
+  let tipMax = uMax;
+  for (let i = 0; i < mask.length; i++) if (mask[i]) tipMax = Math.max(tipMax, project(i).u);
+
+  const bins = Math.floor(uMax - uMin) + 1;
+  const vMin = new Float64Array(bins).fill(Infinity);
+  const vMax = new Float64Array(bins).fill(-Infinity);
+  const count = new Uint32Array(bins);
+  for (let i = 0; i < labels.length; i++) {
+    if (!body.has(labels[i])) continue;
+    const { u, v } = project(i);
+    const b = Math.min(bins - 1, Math.floor(u - uMin));
+    count[b]++;
+    vMin[b] = Math.min(vMin[b], v); vMax[b] = Math.max(vMax[b], v);
+  }
+
+  // Drittel entlang der Achse: 0 = Ferse, 1 = Mittelfuß, 2 = Vorfuß
+  const third = (b) => Math.min(2, Math.floor(((b + 0.5) / bins) * 3));
+  const area = [0, 0, 0];
+  const widths = [0, Infinity, 0];
+  for (let b = 0; b < bins; b++) {
+    const t = third(b);
+    const w = count[b] ? vMax[b] - vMin[b] + 1 : 0;
+    area[t] += count[b];
+    widths[t] = t === 1 ? Math.min(widths[t], w) : Math.max(widths[t], w);
+  }
+
+  // Medial ist die Seite mit der tieferen Einbuchtung zwischen Ballen und Ferse
+  const clarke = [1, -1].map((side) => {
+    const edge = (b) => side > 0 ? vMax[b] : -vMin[b];
+    let ball = -1, heel = -1;
+    for (let b = 0; b < bins; b++) {
+      if (!count[b]) continue;
+      if (third(b) === 2 && (ball < 0 || edge(b) > edge(ball))) ball = b;
+      if (third(b) === 0 && (heel < 0 || edge(b) > edge(heel))) heel = b;
+    }
+    if (ball < 0 || heel < 0) return null;
+    let apex = -1, depth = 0;
+    for (let b = heel + 1; b < ball; b++) {
+      if (!count[b]) continue;
+      const tangent = edge(heel) + ((edge(ball) - edge(heel)) * (b - heel)) / (ball - heel);
+      if (tangent - edge(b) > depth) { depth = tangent - edge(b); apex = b; }
+    }
+    if (apex < 0) return { depth: 0, angle: 0 };
+    const toHeel = { u: heel - ball, e: edge(heel) - edge(ball) };
+    const toApex = { u: apex - ball, e: edge(apex) - edge(ball) };
+    const cos = (toHeel.u * toApex.u + toHeel.e * toApex.e) / (Math.hypot(toHeel.u, toHeel.e) * Math.hypot(toApex.u, toApex.e));
+    return { depth, angle: (Math.acos(Math.min(1, Math.max(-1, cos))) * 180) / Math.PI };
+  });
+  const medial = [clarke[0], clarke[1]].filter(Boolean).sort((a, b) => b.depth - a.depth)[0];
+
+  return {
+    archIndex: area[1] / (area[0] + area[1] + area[2]),
+    clarkeAngle: medial ? medial.angle : null,
+    footLength: bins,
+    fullLength: tipMax - uMin + 1,
+    forefootWidth: widths[2],
+    midfootWidth: widths[1] === Infinity ? 0 : widths[1],
+    heelWidth: widths[0],
+    axisAngle: (Math.atan2(ax, -ay) * 180) / Math.PI,
+    resolution: { width, height }
+  };
+};
+
+export const segmentImage = async (imageSrc, { sensitivity, contrast }, size, minShare) => {
+  const img = await loadImage(imageSrc);
+  const scale = size / Math.max(img.width, img.height);
+  const w = Math.max(1, Math.round(img.width * scale));
+  const h = Math.max(1, Math.round(img.height * scale));
+  const mask = buildMask(sampleGrayscale(img, w, h, contrast), getThreshold(sensitivity));
+  return segmentFootprint(mask, minShare);
+};
+
+export const locateLandmarks = async (imageSrc, options) => detectLandmarks(await segmentImage(imageSrc, options, DETECTION_SIZE));
+
+export const measureContactArea = async (imageSrc, options) => measureFootprint(await segmentImage(imageSrc, options, MEASURE_SIZE, TOE_MIN_SHARE));
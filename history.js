@@ -0,0 +1,59 @@
+/**
+ * ANALYSE-VERLAUF
+ * Lokale Ablage abgeschlossener Analysen in IndexedDB (ein Eintrag pro Analyse).
+ */
+import { loadImage } from './footprint.js';
+
+const DB_NAME = 'stridelab';
+const DB_VERSION = 1;
+const STORE = 'analyses';
+export const THUMBNAIL_SIZE = 480;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('athlete', 'athlete');
+        store.createIndex('createdAt', 'createdAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = (mode, fn) => openDb().then(db => new Promise((resolve, reject) => {
+  const tx = db.transaction(STORE, mode);
+  const req = fn(tx.objectStore(STORE));
+  tx.oncomplete = () => resolve(req.result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+}));
+
+export const saveAnalysis = (entry) => withStore('readwrite', store => store.add({ ...entry, createdAt: Date.now() }));
+
+// Überschreibt einzelne Felder eines Eintrags, z. B. eine später eingetroffene KI-Empfehlung
+export const updateAnalysis = (id, changes) => withStore('readwrite', store => {
+  const req = store.get(id);
+  req.onsuccess = () => { if (req.result) store.put({ ...req.result, ...changes }); };
+  return req;
+});
+
+export const listAnalyses = () => withStore('readonly', store => store.getAll()).then(list => list.sort((a, b) => b.createdAt - a.createdAt));
+
+export const deleteAnalysis = (id) => withStore('readwrite', store => store.delete(id));
+
+export const createThumbnail = async (imageSrc, size = THUMBNAIL_SIZE) => {
+  const img = await loadImage(imageSrc);
+  const scale = Math.min(1, size / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.8);
+};
@@ -0,0 +1,272 @@
+/**
+ * ÜBERSETZUNGEN: DEUTSCH
+ * Referenzkatalog und Rückfallsprache; alle Schlüssel müssen hier vorhanden sein.
+ */
+export default {
+  common: { next: 'Weiter', back: 'Zurück', apply: 'Übernehmen', cancel: 'Abbrechen', retry: 'Erneut' },
+  header: { language: 'Sprache', history: 'VERLAUF', reset: 'RESET' },
+
+  // --- Biomechanische Typen ---
+  footTypes: {
+    flat: {
+      name: 'Pes Planus (Senk-/Plattfuß)',
+      pronation: 'Überpronation',
+      description: 'Große Kontaktfläche im Mittelfuß. Ein hoher Staheli-Index deutet auf ein abgesunkenes Längsgewölbe hin.',
+      medicalRisks: ['Schienbeinkantensyndrom', 'Plantarfasziitis', 'Innenmeniskus-Belastung'],
+      shoeType: 'Stabilitätsschuh / Motion Control'
+    },
+    neutral: {
+      name: 'Pes Rectus (Normalfuß)',
+      pronation: 'Neutrale Pronation',
+      description: 'Physiologisch gesundes Verhältnis der Druckpunkte. Der Fuß rollt effizient über den Großzehenballen ab.',
+      medicalRisks: ['Geringes Verletzungsrisiko bei Standardbelastung'],
+      shoeType: 'Neutralschuh'
+    },
+    high: {
+      name: 'Pes Cavus (Hohlfuß)',
+      pronation: 'Supination (Unterpronation)',
+      description: 'Minimale Kontaktfläche im Mittelfuß. Die Stoßdämpfung durch das Gewölbe ist biomechanisch eingeschränkt.',
+      medicalRisks: ['Stressfrakturen', 'Instabilität im Sprunggelenk', 'Sehnenreizungen'],
+      shoeType: 'Dämpfungsschuh (Neutral Plus)'
+    }
+  },
+
+  sides: { left: 'Links', right: 'Rechts' },
+  footSides: { left: 'Linker Fuß', right: 'Rechter Fuß' },
+  placement: { auto: 'Auto-platziert', manual: 'Manuell angepasst', default: 'Standardposition' },
+
+  // --- Aufnahme ---
+  upload: {
+    title: 'Abdruckanalyse',
+    single: 'Einzelner Fuß',
+    pair: 'Links + Rechts',
+    upload: 'Fußabdruck hochladen',
+    camera: 'Mit Kamera aufnehmen',
+    startPair: 'Kalibrierung starten',
+    import: 'Analyse importieren (JSON)',
+    invalidJson: 'Datei ist kein gültiges JSON.'
+  },
+  camera: {
+    title: 'Kamera',
+    footprint: 'Fußabdruck',
+    capture: 'Aufnehmen',
+    filename: 'kamera-{time}.jpg',
+    checks: {
+      lighting: { label: 'Licht', ok: 'Belichtung ok', dark: 'Zu dunkel – mehr Licht', bright: 'Überbelichtet – Licht reduzieren' },
+      contrast: { label: 'Kontrast', ok: 'Abdruck hebt sich gut ab', low: 'Zu wenig Kontrast zwischen Abdruck und Papier' },
+      fill: { label: 'Ausschnitt', ok: 'Abdruck füllt die Schablone', none: 'Kein Abdruck erkannt', clipped: 'Abdruck ragt aus dem Bild', small: 'Näher heran – Abdruck zu klein', large: 'Weiter weg – Abdruck zu groß', offcenter: 'Abdruck in der Schablone zentrieren' }
+    },
+    errors: {
+      unsupported: 'Kamera wird von diesem Browser nicht unterstützt (HTTPS erforderlich).',
+      denied: 'Kamerazugriff wurde verweigert.',
+      notFound: 'Keine passende Kamera gefunden.',
+      capture: 'Aufnahme fehlgeschlagen.'
+    }
+  },
+  correction: {
+    button: 'Korrektur',
+    tooltip: 'Perspektive, Ausrichtung, Zuschnitt',
+    corrected: 'Bild korrigiert',
+    badge: 'Korrigiert',
+    original: 'Original',
+    stages: { perspective: '1. Perspektive', align: '2. Ausrichtung & Zuschnitt' },
+    corners: ['Oben links', 'Oben rechts', 'Unten rechts', 'Unten links'],
+    sheetCorners: 'Blattecken',
+    sheets: { a4: 'A4', free: 'Frei' },
+    hintCorners: 'Ecken auf die vier Blattecken ziehen; das Blatt wird entzerrt.',
+    hintNoCorners: 'Ohne Blattecken wird das Bild nur gedreht und zugeschnitten.',
+    rotation: 'Drehung',
+    axis: 'Achse',
+    flip: 'Zehen nach oben',
+    autoCrop: 'Auto-Zuschnitt',
+    removeCrop: 'Zuschnitt entfernen',
+    noPrint: 'Kein Abdruck erkannt – Sensitivität anpassen.',
+    errors: { collinear: 'Eckpunkte liegen auf einer Linie.' }
+  },
+
+  // --- Kalibrierung ---
+  controls: { sensitivity: 'Sensitivität', contrast: 'Kontrast', auto: 'Auto', highContrast: 'Hochkontrast', zoomHint: 'Mausrad oder Pinch zum Zoomen, Doppelklick setzt zurück' },
+  calibration: {
+    title: 'Kalibrierung',
+    size: 'Schuhgröße',
+    namePlaceholder: 'Name',
+    scale: 'Maßstab',
+    methods: { size: 'Schuhgröße', reference: 'Referenz' },
+    mark: 'Markieren',
+    remark: 'Neu',
+    estimated: 'Geschätzt aus {size} (Fußlänge ≈ {length} mm).',
+    clickPoint: 'Klicken Sie Punkt {point} von 2 an ein Ende der Referenz im Bild.',
+    referenceScale: '{mm} mm ≙ {px} px im Originalbild.',
+    markHint: 'Referenz im Bild mit zwei Punkten markieren.',
+    zones: {
+      forefoot: { label: 'Vorfuß', auto: 'Der Kasten wurde automatisch auf die breiteste Stelle des Vorfußes gesetzt. Ziehen zum Korrigieren.', manual: 'Positionieren Sie den Kasten auf der breitesten Stelle des Vorfußes.' },
+      arch: { label: 'Gewölbe', auto: 'Der Kasten wurde automatisch auf die schmalste Stelle des Gewölbes gesetzt. Ziehen zum Korrigieren.', manual: 'Positionieren Sie den Kasten auf der schmalsten Stelle des Gewölbes.' },
+      heel: { label: 'Ferse', auto: 'Der Kasten wurde automatisch auf die breiteste Stelle der Ferse gesetzt. Ziehen zum Korrigieren.', manual: 'Positionieren Sie den Kasten auf der breitesten Stelle der Ferse.' }
+    },
+    start: 'Analyse Starten'
+  },
+  sizing: {
+    references: { 'a4-short': 'A4 kurze Kante', 'a4-long': 'A4 lange Kante', card: 'Kreditkarte (lange Kante)', custom: 'Eigene Länge' }
+  },
+
+  // --- Ergebnis ---
+  pair: { title: 'Paar-Report' },
+  asymmetry: {
+    title: 'Asymmetrie (Links / Rechts)',
+    heading: 'Asymmetrie',
+    mismatch: 'Unterschiedliche Fußtypen: Links {left}, Rechts {right}',
+    typesDiffer: 'unterschiedliche Fußtypen',
+    metrics: { csi: 'CSI', si: 'SI', footLength: 'Fußlänge' }
+  },
+  measurements: {
+    title: 'Maße',
+    scaleReference: 'Maßstab: Referenzobjekt',
+    scaleEstimated: 'Maßstab geschätzt aus {size}',
+    footLength: 'Fußlänge',
+    ballWidth: 'Ballenbreite',
+    heelWidth: 'Fersenbreite',
+    width: 'Weite',
+    axisWidths: 'Breite entlang der Fußachse (% Fußlänge)',
+    axis: { forefootWidth: 'Vorfuß max', midfootWidth: 'Mittelfuß min', heelWidth: 'Ferse max' }
+  },
+  classification: {
+    title: 'Klassifikation',
+    thresholds: 'Grenzwerte',
+    confidence: 'Konfidenz',
+    borderline: 'Grenzbefund',
+    borderlineNote: 'Grenzbefund: CSI und SI widersprechen sich.',
+    columns: { index: 'Index', value: 'Wert', vote: 'Votum' },
+    indices: { csi: 'CSI', si: 'SI', archIndex: 'Arch Index', clarkeAngle: 'Clarke-Winkel' },
+    votes: { flat: 'Senkfuß', neutral: 'Normal', high: 'Hohlfuß' },
+    limits: { flat: 'Senkfuß-Grenze', high: 'Hohlfuß-Grenze' },
+    profiles: { adult: 'Erwachsene', child: 'Kinder (6–12 Jahre)', custom: 'Praxis (eigene Grenzwerte)' },
+    errors: {
+      missing: '{index}: Grenzwerte fehlen.',
+      flatAboveHigh: '{index}: Senkfuß-Grenze muss über der Hohlfuß-Grenze liegen.',
+      flatBelowHigh: '{index}: Senkfuß-Grenze muss unter der Hohlfuß-Grenze liegen.'
+    },
+    decision: {
+      none: 'Kein Index stützt das Ergebnis eindeutig.',
+      above: '{distance} über der {limit} {value}',
+      below: '{distance} unter der {limit} {value}',
+      single: '{index} liegt {relation}.',
+      between: '{index} liegt {flat} und {high}.'
+    }
+  },
+  catalog: {
+    title: 'Katalog',
+    count: '{count} / {total} Modelle',
+    only: 'Nur {label}',
+    allWidths: 'Alle Weiten',
+    columns: { model: 'Modell', category: 'Kategorie', drop: 'Drop', stack: 'Stack', weight: 'Gewicht', widths: 'Weiten' },
+    maxDrop: 'Drop ≤',
+    empty: 'Kein Katalogmodell passt zu den Filtern.',
+    categories: { stability: 'Stabilität', neutral: 'Neutral', cushioned: 'Dämpfung' },
+    widths: { narrow: 'Schmal', regular: 'Normal', wide: 'Weit', 'extra-wide': 'Extra weit' }
+  },
+  recommendation: {
+    report: 'Report',
+    aiLoading: 'KI-Experte berechnet Modelle...',
+    aiFallback: 'KI-Dienst nicht verfügbar – regelbasierte Empfehlung',
+    aiUnavailable: 'Keine KI-Empfehlung verfügbar',
+    otherLanguage: 'Text auf {language} erstellt',
+    refetch: 'Neu anfordern',
+    noCommonType: 'Kein gemeinsamer Schuhtyp',
+    perSide: 'Links: {left} · Rechts: {right}',
+    insights: 'KI Insights',
+    indexTitle: '{index} Index',
+    topModels: 'Top Modelle (Klick zum Auswählen)',
+    inCatalog: 'Im Katalog',
+    notInCatalog: 'Nicht im Katalog',
+    chooseModel: 'Modell wählen',
+    sizeAvailable: '{size} verfügbar',
+    sizeMissing: '{size} nicht im Katalog',
+    drop: 'Drop {drop} mm',
+    widths: 'Weiten: {widths}',
+    notLocal: 'Nicht im lokalen Katalog',
+    print: 'Report drucken / PDF',
+    exportJson: 'JSON exportieren',
+    exportThumbnailOnly: 'Ältere Verlaufseinträge enthalten nur ein Vorschaubild und lassen sich nicht als JSON exportieren.',
+    fallbackShoe: 'Laufschuh'
+  },
+  history: {
+    title: 'Verlauf',
+    athlete: 'Athlet',
+    empty: 'Noch keine gespeicherten Analysen.',
+    needTwo: 'Für eine Verlaufskurve werden mindestens zwei Analysen benötigt.',
+    open: 'Öffnen',
+    delete: 'Löschen',
+    trend: 'CSI / SI im Verlauf · {athlete}',
+    unnamed: 'Ohne Namen',
+    archived: 'Archivierte Analyse vom {date} · {athlete} · schreibgeschützt'
+  },
+
+  // --- Druck-Report ---
+  report: {
+    title: 'StrideLab.ai – Fußanalyse',
+    metrics: {
+      csi: 'Chippaux-Smirak-Index (CSI)',
+      si: 'Staheli-Index (SI)',
+      archIndex: 'Arch Index (Cavanagh & Rodgers)',
+      clarkeAngle: 'Clarke-Winkel',
+      forefootWidth: 'Vorfußbreite max (% Fußlänge)',
+      midfootWidth: 'Mittelfußbreite min (% Fußlänge)',
+      heelWidth: 'Fersenbreite max (% Fußlänge)',
+      scaleSource: 'Maßstab',
+      footLengthMm: 'Fußlänge',
+      ballWidthMm: 'Ballenbreite',
+      heelWidthMm: 'Fersenbreite',
+      sizeEu: 'Größenvorschlag EU',
+      sizeUk: 'Größenvorschlag UK',
+      sizeUs: 'Größenvorschlag US',
+      mondopoint: 'Mondopoint',
+      widthFitting: 'Weite'
+    },
+    scaleSources: { reference: 'Referenzobjekt', size: 'geschätzt aus der eingegebenen Schuhgröße' },
+    risks: 'Risiken',
+    metricsTitle: 'Messwerte',
+    typeMismatch: 'Unterschiedliche Fußtypen links und rechts.',
+    recommendation: 'Empfehlung',
+    exercise: 'Übung',
+    shortlist: 'Modell-Shortlist',
+    selected: 'ausgewählt',
+    errors: {
+      format: 'Keine StrideLab-Analysedatei.',
+      version: 'Dateiversion {version} wird nicht unterstützt.',
+      incomplete: 'Analysedatei ist unvollständig.'
+    }
+  },
+
+  // --- KI-Empfehlungen ---
+  ai: {
+    system: 'Sportorthopäde. Alle Textfelder auf Deutsch. JSON Output.',
+    prompt: 'Analyse: {analysis}, Gr: {size}.',
+    pairShoeType: 'Schuhtyp für beide Füße',
+    opposingTypes: 'Gegensätzliche Fußtypen, kein gemeinsamer Schuhtyp (links: {left}, rechts: {right})',
+    providers: { openai: 'OpenAI-kompatibel', rules: 'Regelbasiert (offline)' },
+    errors: {
+      notObject: 'Antwort ist kein Objekt.',
+      noExplanation: 'Antwort enthält keine Erklärung.',
+      noShoes: 'Antwort enthält keine Schuhliste.',
+      emptyShoes: 'Schuhliste der Antwort ist leer.',
+      noExercise: 'Antwort enthält keine gültige Übung.',
+      empty: 'Leere Antwort vom KI-Dienst.',
+      invalidJson: 'Antwort ist kein gültiges JSON.',
+      http: 'KI-Dienst antwortet mit HTTP {status}.',
+      noGeminiKey: 'Kein Gemini-API-Key konfiguriert (VITE_GEMINI_KEY).',
+      timeout: 'Zeitüberschreitung nach {seconds} s.',
+      unreachable: 'KI-Dienst nicht erreichbar ({message}).',
+      unknownProvider: 'Unbekannter KI-Provider "{provider}".'
+    },
+    rules: {
+      sides: 'Links zeigt sich {left}, rechts {right}. ',
+      opposing: 'Senk- und Hohlfuß verlangen gegensätzliche Schuhtypen (links: {left}, rechts: {right}); einen gemeinsamen Schuhtyp gibt es nicht. Die Modelle sind neutrale Kompromisse – bitte fachlich abklären lassen. Typische Belastungsrisiken: {risks}.',
+      explanation: '{name}: {description} Typische Belastungsrisiken: {risks}. Empfohlen wird ein {shoeType}.',
+      exercises: {
+        flat: { name: 'Short-Foot-Übung', instruction: 'Im Stand den Vorfuß Richtung Ferse ziehen, ohne die Zehen zu krallen, sodass sich das Längsgewölbe hebt. 10 Sekunden halten, 3 × 10 Wiederholungen pro Fuß.' },
+        neutral: { name: 'Einbeiniges Wadenheben', instruction: 'Auf einem Bein stehend langsam auf den Vorfuß heben und kontrolliert absenken. 3 × 15 Wiederholungen pro Seite.' },
+        high: { name: 'Plantarfaszien-Dehnung', instruction: 'Im Sitzen die Zehen mit der Hand Richtung Schienbein ziehen, bis ein Zug in der Fußsohle spürbar ist. 30 Sekunden halten, 3 Durchgänge pro Fuß.' }
+      }
+    }
+  }
+};
@@ -0,0 +1,271 @@
+/**
+ * ÜBERSETZUNGEN: ENGLISCH
+ */
+export default {
+  common: { next: 'Next', back: 'Back', apply: 'Apply', cancel: 'Cancel', retry: 'Retry' },
+  header: { language: 'Language', history: 'HISTORY', reset: 'RESET' },
+
+  // --- Biomechanische Typen ---
+  footTypes: {
+    flat: {
+      name: 'Pes Planus (Flat Foot)',
+      pronation: 'Overpronation',
+      description: 'Large contact area in the midfoot. A high Staheli index points to a collapsed longitudinal arch.',
+      medicalRisks: ['Shin splints', 'Plantar fasciitis', 'Medial meniscus strain'],
+      shoeType: 'Stability shoe / motion control'
+    },
+    neutral: {
+      name: 'Pes Rectus (Normal Foot)',
+      pronation: 'Neutral pronation',
+      description: 'Physiologically healthy balance of pressure points. The foot rolls off efficiently over the big toe joint.',
+      medicalRisks: ['Low injury risk under standard load'],
+      shoeType: 'Neutral shoe'
+    },
+    high: {
+      name: 'Pes Cavus (High Arch)',
+      pronation: 'Supination (underpronation)',
+      description: 'Minimal contact area in the midfoot. Shock absorption through the arch is biomechanically limited.',
+      medicalRisks: ['Stress fractures', 'Ankle instability', 'Tendon irritation'],
+      shoeType: 'Cushioned shoe (neutral plus)'
+    }
+  },
+
+  sides: { left: 'Left', right: 'Right' },
+  footSides: { left: 'Left foot', right: 'Right foot' },
+  placement: { auto: 'Auto-placed', manual: 'Manually adjusted', default: 'Default position' },
+
+  // --- Aufnahme ---
+  upload: {
+    title: 'Footprint analysis',
+    single: 'Single foot',
+    pair: 'Left + right',
+    upload: 'Upload footprint',
+    camera: 'Capture with camera',
+    startPair: 'Start calibration',
+    import: 'Import analysis (JSON)',
+    invalidJson: 'File is not valid JSON.'
+  },
+  camera: {
+    title: 'Camera',
+    footprint: 'Footprint',
+    capture: 'Capture',
+    filename: 'camera-{time}.jpg',
+    checks: {
+      lighting: { label: 'Light', ok: 'Exposure ok', dark: 'Too dark – add light', bright: 'Overexposed – reduce light' },
+      contrast: { label: 'Contrast', ok: 'Print stands out well', low: 'Too little contrast between print and paper' },
+      fill: { label: 'Framing', ok: 'Print fills the guide', none: 'No print detected', clipped: 'Print extends beyond the frame', small: 'Move closer – print too small', large: 'Move back – print too large', offcenter: 'Centre the print in the guide' }
+    },
+    errors: {
+      unsupported: 'This browser does not support camera access (HTTPS required).',
+      denied: 'Camera access was denied.',
+      notFound: 'No suitable camera found.',
+      capture: 'Capture failed.'
+    }
+  },
+  correction: {
+    button: 'Correction',
+    tooltip: 'Perspective, alignment, crop',
+    corrected: 'Image corrected',
+    badge: 'Corrected',
+    original: 'Original',
+    stages: { perspective: '1. Perspective', align: '2. Alignment & crop' },
+    corners: ['Top left', 'Top right', 'Bottom right', 'Bottom left'],
+    sheetCorners: 'Sheet corners',
+    sheets: { a4: 'A4', free: 'Free' },
+    hintCorners: 'Drag the handles onto the four sheet corners; the sheet is rectified.',
+    hintNoCorners: 'Without sheet corners the image is only rotated and cropped.',
+    rotation: 'Rotation',
+    axis: 'Axis',
+    flip: 'Toes up',
+    autoCrop: 'Auto crop',
+    removeCrop: 'Remove crop',
+    noPrint: 'No print detected – adjust sensitivity.',
+    errors: { collinear: 'Corner points lie on a line.' }
+  },
+
+  // --- Kalibrierung ---
+  controls: { sensitivity: 'Sensitivity', contrast: 'Contrast', auto: 'Auto', highContrast: 'High contrast', zoomHint: 'Mouse wheel or pinch to zoom, double-click to reset' },
+  calibration: {
+    title: 'Calibration',
+    size: 'Shoe size',
+    namePlaceholder: 'Name',
+    scale: 'Scale',
+    methods: { size: 'Shoe size', reference: 'Reference' },
+    mark: 'Mark',
+    remark: 'Redo',
+    estimated: 'Estimated from {size} (foot length ≈ {length} mm).',
+    clickPoint: 'Click point {point} of 2 on one end of the reference in the image.',
+    referenceScale: '{mm} mm ≙ {px} px in the original image.',
+    markHint: 'Mark the reference in the image with two points.',
+    zones: {
+      forefoot: { label: 'Forefoot', auto: 'The box was placed automatically on the widest part of the forefoot. Drag to correct.', manual: 'Place the box on the widest part of the forefoot.' },
+      arch: { label: 'Arch', auto: 'The box was placed automatically on the narrowest part of the arch. Drag to correct.', manual: 'Place the box on the narrowest part of the arch.' },
+      heel: { label: 'Heel', auto: 'The box was placed automatically on the widest part of the heel. Drag to correct.', manual: 'Place the box on the widest part of the heel.' }
+    },
+    start: 'Start analysis'
+  },
+  sizing: {
+    references: { 'a4-short': 'A4 short edge', 'a4-long': 'A4 long edge', card: 'Credit card (long edge)', custom: 'Custom length' }
+  },
+
+  // --- Ergebnis ---
+  pair: { title: 'Pair report' },
+  asymmetry: {
+    title: 'Asymmetry (left / right)',
+    heading: 'Asymmetry',
+    mismatch: 'Different foot types: left {left}, right {right}',
+    typesDiffer: 'different foot types',
+    metrics: { csi: 'CSI', si: 'SI', footLength: 'Foot length' }
+  },
+  measurements: {
+    title: 'Measurements',
+    scaleReference: 'Scale: reference object',
+    scaleEstimated: 'Scale estimated from {size}',
+    footLength: 'Foot length',
+    ballWidth: 'Ball width',
+    heelWidth: 'Heel width',
+    width: 'Width',
+    axisWidths: 'Width along the foot axis (% foot length)',
+    axis: { forefootWidth: 'Forefoot max', midfootWidth: 'Midfoot min', heelWidth: 'Heel max' }
+  },
+  classification: {
+    title: 'Classification',
+    thresholds: 'Thresholds',
+    confidence: 'Confidence',
+    borderline: 'Borderline',
+    borderlineNote: 'Borderline result: CSI and SI disagree.',
+    columns: { index: 'Index', value: 'Value', vote: 'Vote' },
+    indices: { csi: 'CSI', si: 'SI', archIndex: 'Arch Index', clarkeAngle: 'Clarke angle' },
+    votes: { flat: 'Flat foot', neutral: 'Normal', high: 'High arch' },
+    limits: { flat: 'flat-foot limit', high: 'high-arch limit' },
+    profiles: { adult: 'Adults', child: 'Children (6–12 years)', custom: 'Practice (custom thresholds)' },
+    errors: {
+      missing: '{index}: thresholds missing.',
+      flatAboveHigh: '{index}: the flat-foot limit must be above the high-arch limit.',
+      flatBelowHigh: '{index}: the flat-foot limit must be below the high-arch limit.'
+    },
+    decision: {
+      none: 'No index clearly supports the result.',
+      above: '{distance} above the {limit} {value}',
+      below: '{distance} below the {limit} {value}',
+      single: '{index} is {relation}.',
+      between: '{index} is {flat} and {high}.'
+    }
+  },
+  catalog: {
+    title: 'Catalogue',
+    count: '{count} / {total} models',
+    only: 'Only {label}',
+    allWidths: 'All widths',
+    columns: { model: 'Model', category: 'Category', drop: 'Drop', stack: 'Stack', weight: 'Weight', widths: 'Widths' },
+    maxDrop: 'Drop ≤',
+    empty: 'No catalogue model matches the filters.',
+    categories: { stability: 'Stability', neutral: 'Neutral', cushioned: 'Cushioning' },
+    widths: { narrow: 'Narrow', regular: 'Regular', wide: 'Wide', 'extra-wide': 'Extra wide' }
+  },
+  recommendation: {
+    report: 'Report',
+    aiLoading: 'AI expert is selecting models...',
+    aiFallback: 'AI service unavailable – rule-based recommendation',
+    aiUnavailable: 'No AI recommendation available',
+    otherLanguage: 'Text generated in {language}',
+    refetch: 'Request again',
+    noCommonType: 'No common shoe type',
+    perSide: 'Left: {left} · Right: {right}',
+    insights: 'AI insights',
+    indexTitle: '{index} index',
+    topModels: 'Top models (click to select)',
+    inCatalog: 'In catalogue',
+    notInCatalog: 'Not in catalogue',
+    chooseModel: 'Choose a model',
+    sizeAvailable: '{size} available',
+    sizeMissing: '{size} not in catalogue',
+    drop: 'Drop {drop} mm',
+    widths: 'Widths: {widths}',
+    notLocal: 'Not in the local catalogue',
+    print: 'Print report / PDF',
+    exportJson: 'Export JSON',
+    exportThumbnailOnly: 'Older history entries only contain a preview image and cannot be exported as JSON.',
+    fallbackShoe: 'Running shoe'
+  },
+  history: {
+    title: 'History',
+    athlete: 'Athlete',
+    empty: 'No saved analyses yet.',
+    needTwo: 'A trend chart needs at least two analyses.',
+    open: 'Open',
+    delete: 'Delete',
+    trend: 'CSI / SI over time · {athlete}',
+    unnamed: 'Unnamed',
+    archived: 'Archived analysis from {date} · {athlete} · read-only'
+  },
+
+  // --- Druck-Report ---
+  report: {
+    title: 'StrideLab.ai – Foot analysis',
+    metrics: {
+      csi: 'Chippaux-Smirak index (CSI)',
+      si: 'Staheli index (SI)',
+      archIndex: 'Arch Index (Cavanagh & Rodgers)',
+      clarkeAngle: 'Clarke angle',
+      forefootWidth: 'Forefoot width max (% foot length)',
+      midfootWidth: 'Midfoot width min (% foot length)',
+      heelWidth: 'Heel width max (% foot length)',
+      scaleSource: 'Scale',
+      footLengthMm: 'Foot length',
+      ballWidthMm: 'Ball width',
+      heelWidthMm: 'Heel width',
+      sizeEu: 'Suggested size EU',
+      sizeUk: 'Suggested size UK',
+      sizeUs: 'Suggested size US',
+      mondopoint: 'Mondopoint',
+      widthFitting: 'Width'
+    },
+    scaleSources: { reference: 'Reference object', size: 'estimated from the entered shoe size' },
+    risks: 'Risks',
+    metricsTitle: 'Measurements',
+    typeMismatch: 'Different foot types left and right.',
+    recommendation: 'Recommendation',
+    exercise: 'Exercise',
+    shortlist: 'Model shortlist',
+    selected: 'selected',
+    errors: {
+      format: 'Not a StrideLab analysis file.',
+      version: 'File version {version} is not supported.',
+      incomplete: 'Analysis file is incomplete.'
+    }
+  },
+
+  // --- KI-Empfehlungen ---
+  ai: {
+    system: 'Sports orthopaedist. Write all text fields in English. JSON output.',
+    prompt: 'Analysis: {analysis}, size: {size}.',
+    pairShoeType: 'Shoe type for both feet',
+    opposingTypes: 'Opposite foot types, no common shoe type (left: {left}, right: {right})',
+    providers: { openai: 'OpenAI-compatible', rules: 'Rule-based (offline)' },
+    errors: {
+      notObject: 'Response is not an object.',
+      noExplanation: 'Response contains no explanation.',
+      noShoes: 'Response contains no shoe list.',
+      emptyShoes: 'The shoe list in the response is empty.',
+      noExercise: 'Response contains no valid exercise.',
+      empty: 'Empty response from the AI service.',
+      invalidJson: 'Response is not valid JSON.',
+      http: 'AI service responded with HTTP {status}.',
+      noGeminiKey: 'No Gemini API key configured (VITE_GEMINI_KEY).',
+      timeout: 'Timed out after {seconds} s.',
+      unreachable: 'AI service unreachable ({message}).',
+      unknownProvider: 'Unknown AI provider "{provider}".'
+    },
+    rules: {
+      sides: 'The left foot shows {left}, the right {right}. ',
+      opposing: 'Flat foot and high arch call for opposite shoe types (left: {left}, right: {right}); there is no common shoe type. The models are neutral compromises – please seek professional advice. Typical load-related risks: {risks}.',
+      explanation: '{name}: {description} Typical load-related risks: {risks}. Recommended: {shoeType}.',
+      exercises: {
+        flat: { name: 'Short-foot exercise', instruction: 'Standing, draw the forefoot towards the heel without curling the toes so that the longitudinal arch lifts. Hold for 10 seconds, 3 × 10 repetitions per foot.' },
+        neutral: { name: 'Single-leg calf raise', instruction: 'Standing on one leg, slowly rise onto the forefoot and lower with control. 3 × 15 repetitions per side.' },
+        high: { name: 'Plantar fascia stretch', instruction: 'Seated, pull the toes towards the shin with your hand until you feel a stretch in the sole. Hold for 30 seconds, 3 sets per foot.' }
+      }
+    }
+  }
+};
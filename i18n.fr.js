@@ -0,0 +1,271 @@
+/**
+ * ÜBERSETZUNGEN: FRANZÖSISCH
+ */
+export default {
+  common: { next: 'Suivant', back: 'Retour', apply: 'Appliquer', cancel: 'Annuler', retry: 'Réessayer' },
+  header: { language: 'Langue', history: 'HISTORIQUE', reset: 'RÉINITIALISER' },
+
+  // --- Biomechanische Typen ---
+  footTypes: {
+    flat: {
+      name: 'Pes Planus (pied plat)',
+      pronation: 'Hyperpronation',
+      description: 'Grande surface de contact au médio-pied. Un indice de Staheli élevé indique un affaissement de la voûte longitudinale.',
+      medicalRisks: ['Périostite tibiale', 'Fasciite plantaire', 'Sollicitation du ménisque interne'],
+      shoeType: 'Chaussure de stabilité / contrôle du mouvement'
+    },
+    neutral: {
+      name: 'Pes Rectus (pied normal)',
+      pronation: 'Pronation neutre',
+      description: 'Répartition physiologique des points d’appui. Le pied déroule efficacement sur la tête du premier métatarsien.',
+      medicalRisks: ['Faible risque de blessure sous charge normale'],
+      shoeType: 'Chaussure neutre'
+    },
+    high: {
+      name: 'Pes Cavus (pied creux)',
+      pronation: 'Supination (sous-pronation)',
+      description: 'Surface de contact minimale au médio-pied. L’amorti assuré par la voûte est biomécaniquement limité.',
+      medicalRisks: ['Fractures de fatigue', 'Instabilité de la cheville', 'Irritations tendineuses'],
+      shoeType: 'Chaussure amortissante (neutre plus)'
+    }
+  },
+
+  sides: { left: 'Gauche', right: 'Droite' },
+  footSides: { left: 'Pied gauche', right: 'Pied droit' },
+  placement: { auto: 'Placement auto', manual: 'Ajusté manuellement', default: 'Position par défaut' },
+
+  // --- Aufnahme ---
+  upload: {
+    title: 'Analyse d’empreinte',
+    single: 'Un seul pied',
+    pair: 'Gauche + droite',
+    upload: 'Importer l’empreinte',
+    camera: 'Prendre une photo',
+    startPair: 'Démarrer la calibration',
+    import: 'Importer une analyse (JSON)',
+    invalidJson: 'Le fichier n’est pas un JSON valide.'
+  },
+  camera: {
+    title: 'Caméra',
+    footprint: 'Empreinte',
+    capture: 'Capturer',
+    filename: 'camera-{time}.jpg',
+    checks: {
+      lighting: { label: 'Lumière', ok: 'Exposition correcte', dark: 'Trop sombre – ajouter de la lumière', bright: 'Surexposé – réduire la lumière' },
+      contrast: { label: 'Contraste', ok: 'L’empreinte se détache bien', low: 'Contraste insuffisant entre l’empreinte et le papier' },
+      fill: { label: 'Cadrage', ok: 'L’empreinte remplit le gabarit', none: 'Aucune empreinte détectée', clipped: 'L’empreinte dépasse de l’image', small: 'Rapprochez-vous – empreinte trop petite', large: 'Éloignez-vous – empreinte trop grande', offcenter: 'Centrez l’empreinte dans le gabarit' }
+    },
+    errors: {
+      unsupported: 'Ce navigateur ne prend pas en charge la caméra (HTTPS requis).',
+      denied: 'L’accès à la caméra a été refusé.',
+      notFound: 'Aucune caméra adaptée trouvée.',
+      capture: 'Échec de la capture.'
+    }
+  },
+  correction: {
+    button: 'Correction',
+    tooltip: 'Perspective, orientation, recadrage',
+    corrected: 'Image corrigée',
+    badge: 'Corrigée',
+    original: 'Original',
+    stages: { perspective: '1. Perspective', align: '2. Orientation et recadrage' },
+    corners: ['En haut à gauche', 'En haut à droite', 'En bas à droite', 'En bas à gauche'],
+    sheetCorners: 'Coins de la feuille',
+    sheets: { a4: 'A4', free: 'Libre' },
+    hintCorners: 'Placez les poignées sur les quatre coins de la feuille ; la feuille est redressée.',
+    hintNoCorners: 'Sans coins de feuille, l’image est seulement pivotée et recadrée.',
+    rotation: 'Rotation',
+    axis: 'Axe',
+    flip: 'Orteils vers le haut',
+    autoCrop: 'Recadrage auto',
+    removeCrop: 'Supprimer le recadrage',
+    noPrint: 'Aucune empreinte détectée – ajustez la sensibilité.',
+    errors: { collinear: 'Les coins sont alignés.' }
+  },
+
+  // --- Kalibrierung ---
+  controls: { sensitivity: 'Sensibilité', contrast: 'Contraste', auto: 'Auto', highContrast: 'Contraste élevé', zoomHint: 'Molette ou pincement pour zoomer, double-clic pour réinitialiser' },
+  calibration: {
+    title: 'Calibration',
+    size: 'Pointure',
+    namePlaceholder: 'Nom',
+    scale: 'Échelle',
+    methods: { size: 'Pointure', reference: 'Référence' },
+    mark: 'Marquer',
+    remark: 'Refaire',
+    estimated: 'Estimée à partir de {size} (longueur du pied ≈ {length} mm).',
+    clickPoint: 'Cliquez le point {point} sur 2 à une extrémité de la référence dans l’image.',
+    referenceScale: '{mm} mm ≙ {px} px dans l’image originale.',
+    markHint: 'Marquez la référence dans l’image avec deux points.',
+    zones: {
+      forefoot: { label: 'Avant-pied', auto: 'Le cadre a été placé automatiquement sur la partie la plus large de l’avant-pied. Faites glisser pour corriger.', manual: 'Placez le cadre sur la partie la plus large de l’avant-pied.' },
+      arch: { label: 'Voûte', auto: 'Le cadre a été placé automatiquement sur la partie la plus étroite de la voûte. Faites glisser pour corriger.', manual: 'Placez le cadre sur la partie la plus étroite de la voûte.' },
+      heel: { label: 'Talon', auto: 'Le cadre a été placé automatiquement sur la partie la plus large du talon. Faites glisser pour corriger.', manual: 'Placez le cadre sur la partie la plus large du talon.' }
+    },
+    start: 'Lancer l’analyse'
+  },
+  sizing: {
+    references: { 'a4-short': 'A4 petit côté', 'a4-long': 'A4 grand côté', card: 'Carte bancaire (grand côté)', custom: 'Longueur personnalisée' }
+  },
+
+  // --- Ergebnis ---
+  pair: { title: 'Rapport par paire' },
+  asymmetry: {
+    title: 'Asymétrie (gauche / droite)',
+    heading: 'Asymétrie',
+    mismatch: 'Types de pied différents : gauche {left}, droite {right}',
+    typesDiffer: 'types de pied différents',
+    metrics: { csi: 'CSI', si: 'SI', footLength: 'Longueur du pied' }
+  },
+  measurements: {
+    title: 'Mesures',
+    scaleReference: 'Échelle : objet de référence',
+    scaleEstimated: 'Échelle estimée à partir de {size}',
+    footLength: 'Longueur du pied',
+    ballWidth: 'Largeur métatarsienne',
+    heelWidth: 'Largeur du talon',
+    width: 'Largeur',
+    axisWidths: 'Largeur le long de l’axe du pied (% longueur)',
+    axis: { forefootWidth: 'Avant-pied max', midfootWidth: 'Médio-pied min', heelWidth: 'Talon max' }
+  },
+  classification: {
+    title: 'Classification',
+    thresholds: 'Seuils',
+    confidence: 'Confiance',
+    borderline: 'Cas limite',
+    borderlineNote: 'Cas limite : CSI et SI se contredisent.',
+    columns: { index: 'Indice', value: 'Valeur', vote: 'Vote' },
+    indices: { csi: 'CSI', si: 'SI', archIndex: 'Arch Index', clarkeAngle: 'Angle de Clarke' },
+    votes: { flat: 'Pied plat', neutral: 'Normal', high: 'Pied creux' },
+    limits: { flat: 'limite pied plat', high: 'limite pied creux' },
+    profiles: { adult: 'Adultes', child: 'Enfants (6–12 ans)', custom: 'Cabinet (seuils personnalisés)' },
+    errors: {
+      missing: '{index} : seuils manquants.',
+      flatAboveHigh: '{index} : la limite pied plat doit être supérieure à la limite pied creux.',
+      flatBelowHigh: '{index} : la limite pied plat doit être inférieure à la limite pied creux.'
+    },
+    decision: {
+      none: 'Aucun indice ne confirme clairement le résultat.',
+      above: '{distance} au-dessus de la {limit} {value}',
+      below: '{distance} en dessous de la {limit} {value}',
+      single: '{index} se situe {relation}.',
+      between: '{index} se situe {flat} et {high}.'
+    }
+  },
+  catalog: {
+    title: 'Catalogue',
+    count: '{count} / {total} modèles',
+    only: 'Seulement {label}',
+    allWidths: 'Toutes largeurs',
+    columns: { model: 'Modèle', category: 'Catégorie', drop: 'Drop', stack: 'Stack', weight: 'Poids', widths: 'Largeurs' },
+    maxDrop: 'Drop ≤',
+    empty: 'Aucun modèle du catalogue ne correspond aux filtres.',
+    categories: { stability: 'Stabilité', neutral: 'Neutre', cushioned: 'Amorti' },
+    widths: { narrow: 'Étroite', regular: 'Normale', wide: 'Large', 'extra-wide': 'Très large' }
+  },
+  recommendation: {
+    report: 'Rapport',
+    aiLoading: 'L’expert IA sélectionne des modèles...',
+    aiFallback: 'Service IA indisponible – recommandation basée sur des règles',
+    aiUnavailable: 'Aucune recommandation IA disponible',
+    otherLanguage: 'Texte rédigé en {language}',
+    refetch: 'Redemander',
+    noCommonType: 'Pas de type de chaussure commun',
+    perSide: 'Gauche : {left} · Droite : {right}',
+    insights: 'Analyse IA',
+    indexTitle: 'Indice {index}',
+    topModels: 'Meilleurs modèles (cliquer pour choisir)',
+    inCatalog: 'Dans le catalogue',
+    notInCatalog: 'Absent du catalogue',
+    chooseModel: 'Choisir un modèle',
+    sizeAvailable: '{size} disponible',
+    sizeMissing: '{size} absente du catalogue',
+    drop: 'Drop {drop} mm',
+    widths: 'Largeurs : {widths}',
+    notLocal: 'Absent du catalogue local',
+    print: 'Imprimer le rapport / PDF',
+    exportJson: 'Exporter en JSON',
+    exportThumbnailOnly: 'Les anciennes entrées de l’historique ne contiennent qu’un aperçu et ne peuvent pas être exportées en JSON.',
+    fallbackShoe: 'Chaussure de running'
+  },
+  history: {
+    title: 'Historique',
+    athlete: 'Athlète',
+    empty: 'Aucune analyse enregistrée pour l’instant.',
+    needTwo: 'Une courbe d’évolution nécessite au moins deux analyses.',
+    open: 'Ouvrir',
+    delete: 'Supprimer',
+    trend: 'Évolution CSI / SI · {athlete}',
+    unnamed: 'Sans nom',
+    archived: 'Analyse archivée du {date} · {athlete} · lecture seule'
+  },
+
+  // --- Druck-Report ---
+  report: {
+    title: 'StrideLab.ai – Analyse du pied',
+    metrics: {
+      csi: 'Indice de Chippaux-Smirak (CSI)',
+      si: 'Indice de Staheli (SI)',
+      archIndex: 'Arch Index (Cavanagh & Rodgers)',
+      clarkeAngle: 'Angle de Clarke',
+      forefootWidth: 'Largeur avant-pied max (% longueur)',
+      midfootWidth: 'Largeur médio-pied min (% longueur)',
+      heelWidth: 'Largeur talon max (% longueur)',
+      scaleSource: 'Échelle',
+      footLengthMm: 'Longueur du pied',
+      ballWidthMm: 'Largeur métatarsienne',
+      heelWidthMm: 'Largeur du talon',
+      sizeEu: 'Pointure suggérée EU',
+      sizeUk: 'Pointure suggérée UK',
+      sizeUs: 'Pointure suggérée US',
+      mondopoint: 'Mondopoint',
+      widthFitting: 'Largeur'
+    },
+    scaleSources: { reference: 'Objet de référence', size: 'estimée à partir de la pointure saisie' },
+    risks: 'Risques',
+    metricsTitle: 'Mesures',
+    typeMismatch: 'Types de pied différents à gauche et à droite.',
+    recommendation: 'Recommandation',
+    exercise: 'Exercice',
+    shortlist: 'Présélection de modèles',
+    selected: 'sélectionné',
+    errors: {
+      format: 'Ce n’est pas un fichier d’analyse StrideLab.',
+      version: 'La version de fichier {version} n’est pas prise en charge.',
+      incomplete: 'Le fichier d’analyse est incomplet.'
+    }
+  },
+
+  // --- KI-Empfehlungen ---
+  ai: {
+    system: 'Orthopédiste du sport. Rédige tous les champs texte en français. Sortie JSON.',
+    prompt: 'Analyse : {analysis}, pointure : {size}.',
+    pairShoeType: 'Type de chaussure pour les deux pieds',
+    opposingTypes: 'Types de pied opposés, pas de type de chaussure commun (gauche : {left}, droite : {right})',
+    providers: { openai: 'Compatible OpenAI', rules: 'Basé sur des règles (hors ligne)' },
+    errors: {
+      notObject: 'La réponse n’est pas un objet.',
+      noExplanation: 'La réponse ne contient aucune explication.',
+      noShoes: 'La réponse ne contient aucune liste de chaussures.',
+      emptyShoes: 'La liste de chaussures de la réponse est vide.',
+      noExercise: 'La réponse ne contient aucun exercice valide.',
+      empty: 'Réponse vide du service IA.',
+      invalidJson: 'La réponse n’est pas un JSON valide.',
+      http: 'Le service IA a répondu avec HTTP {status}.',
+      noGeminiKey: 'Aucune clé API Gemini configurée (VITE_GEMINI_KEY).',
+      timeout: 'Délai dépassé après {seconds} s.',
+      unreachable: 'Service IA injoignable ({message}).',
+      unknownProvider: 'Fournisseur IA inconnu « {provider} ».'
+    },
+    rules: {
+      sides: 'Le pied gauche présente {left}, le droit {right}. ',
+      opposing: 'Pied plat et pied creux exigent des types de chaussures opposés (gauche : {left}, droite : {right}) ; il n’existe pas de type commun. Les modèles sont des compromis neutres – demandez un avis professionnel. Risques typiques liés à la charge : {risks}.',
+      explanation: '{name} : {description} Risques de surcharge typiques : {risks}. Recommandé : {shoeType}.',
+      exercises: {
+        flat: { name: 'Exercice du pied court', instruction: 'Debout, rapprochez l’avant-pied du talon sans crisper les orteils afin de soulever la voûte longitudinale. Tenez 10 secondes, 3 × 10 répétitions par pied.' },
+        neutral: { name: 'Élévation du mollet sur une jambe', instruction: 'En appui sur une jambe, montez lentement sur l’avant-pied puis redescendez de façon contrôlée. 3 × 15 répétitions par côté.' },
+        high: { name: 'Étirement du fascia plantaire', instruction: 'Assis, tirez les orteils vers le tibia avec la main jusqu’à sentir un étirement sous la plante. Tenez 30 secondes, 3 séries par pied.' }
+      }
+    }
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * MEHRSPRACHIGKEIT
+ * Übersetzungskataloge (i18n.de.js, i18n.en.js, i18n.fr.js) und die aktive Sprache auf Modulebene,
+ * damit auch Report, KI-Provider und Klassifikation ohne React in der gewählten Sprache formulieren.
+ * Fehlende Schlüssel fallen auf Deutsch zurück.
+ */
+import de from './i18n.de.js';
+import en from './i18n.en.js';
+import fr from './i18n.fr.js';
+
+const CATALOGS = { de, en, fr };
+const FALLBACK_LANGUAGE = 'de';
+const STORAGE_KEY = 'stridelab.language';
+
+// `sizeSystem`: übliches Schuhgrößensystem der Sprache (siehe sizing.js)
+export const LANGUAGES = {
+  de: { label: 'Deutsch', locale: 'de-DE', sizeSystem: 'eu' },
+  en: { label: 'English', locale: 'en-GB', sizeSystem: 'uk' },
+  fr: { label: 'Français', locale: 'fr-FR', sizeSystem: 'eu' }
+};
+
+const detectLanguage = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (CATALOGS[stored]) return stored;
+  } catch { /* ohne localStorage (Worker, Node) zählt nur die Browsersprache */ }
+  const browser = globalThis.navigator?.language?.slice(0, 2);
+  return CATALOGS[browser] ? browser : FALLBACK_LANGUAGE;
+};
+
+let current = detectLanguage();
+
+export const getLanguage = () => current;
+
+export const getLocale = () => LANGUAGES[current].locale;
+
+export const setLanguage = (language) => {
+  if (!CATALOGS[language]) return;
+  current = language;
+  try { localStorage.setItem(STORAGE_KEY, language); } catch { /* Sprache gilt dann nur für diese Sitzung */ }
+};
+
+// Englisch folgt der Region des Browsers: en-US → US-Größen, sonst UK
+export const defaultSizeSystem = (language = current) => language === 'en' && globalThis.navigator?.language === 'en-US' ? 'us' : LANGUAGES[language].sizeSystem;
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Übersetzt einen Schlüssel wie 'calibration.title'. Platzhalter `{name}` werden aus `params` ersetzt.
+ * Zeigt der Schlüssel auf ein Objekt oder eine Liste (z. B. 'footTypes.flat'), wird dieses unverändert geliefert.
+ */
+export const t = (key, params) => {
+  const value = lookup(CATALOGS[current], key) ?? lookup(CATALOGS[FALLBACK_LANGUAGE], key) ?? key;
+  if (typeof value !== 'string' || !params) return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
@@ -0,0 +1,167 @@
+/**
+ * BILDKORREKTUR
+ * Vier-Punkt-Perspektivkorrektur (z. B. auf ein A4-Blatt), Drehung der Fußlängsachse
+ * in die Senkrechte und Zuschnitt. Alle Punkte werden in Prozent der jeweiligen Bildgröße gespeichert.
+ */
+import { MEASURE_SIZE, createCanvas, loadImage, segmentImage, measureContactArea } from './footprint.js';
+import { t } from './i18n.js';
+
+export const MAX_SOURCE_SIZE = 2000;
+export const MAX_OUTPUT_SIZE = 1600;
+const CROP_MARGIN = 0.08;
+
+// Bezeichnungen im Katalog unter correction.sheets
+export const SHEET_FORMATS = {
+  a4: { ratio: 297 / 210 },
+  free: { ratio: null }
+};
+
+// Reihenfolge: oben links, oben rechts, unten rechts, unten links
+export const DEFAULT_CORNERS = [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 90 }, { x: 10, y: 90 }];
+
+export const DEFAULT_CORRECTION = { corners: null, sheet: 'a4', rotation: 0, crop: null };
+
+export const isCorrected = (correction) => !!correction && !!(correction.corners || correction.rotation || correction.crop);
+
+// Löst A·h = b für die 8 Parameter der Homographie (Gauß-Elimination mit Pivotsuche)
+const solve = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    if (Math.abs(M[col][col]) < 1e-12) throw new Error(t('correction.errors.collinear'));
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+};
+
+// Homographie, die Punkte aus `from` auf `to` abbildet
+export const computeHomography = (from, to) => {
+  const A = [], b = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]); b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]); b.push(v);
+  });
+  return solve(A, b);
+};
+
+const outputSize = (quad, sheet) => {
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  let w = (dist(quad[0], quad[1]) + dist(quad[3], quad[2])) / 2;
+  let h = (dist(quad[0], quad[3]) + dist(quad[1], quad[2])) / 2;
+  const ratio = SHEET_FORMATS[sheet]?.ratio;
+  if (ratio) { if (h >= w) h = w * ratio; else w = h * ratio; }
+  const scale = Math.min(1, MAX_OUTPUT_SIZE / Math.max(w, h));
+  return { w: w * scale, h: h * scale };
+};
+
+const drawSource = (img) => {
+  const scale = Math.min(1, MAX_SOURCE_SIZE / Math.max(img.width, img.height));
+  const canvas = createCanvas(img.width * scale, img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+// Entzerrt das Viereck `corners` (Prozent) auf ein Rechteck; bilineare Abtastung
+export const warpPerspective = (img, corners, sheet) => {
+  const source = drawSource(img);
+  const quad = corners.map(p => ({ x: (p.x / 100) * source.width, y: (p.y / 100) * source.height }));
+  const size = outputSize(quad, sheet);
+  const target = createCanvas(size.w, size.h);
+  const { width: W, height: H } = target;
+  const h = computeHomography([{ x: 0, y: 0 }, { x: W, y: 0 }, { x: W, y: H }, { x: 0, y: H }], quad);
+
+  const src = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+  const ctx = target.getContext('2d');
+  const out = ctx.createImageData(W, H);
+  const sw = source.width, sh = source.height;
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) {
+      const d = h[6] * x + h[7] * y + 1;
+      const sx = Math.min(sw - 1.001, Math.max(0, (h[0] * x + h[1] * y + h[2]) / d));
+      const sy = Math.min(sh - 1.001, Math.max(0, (h[3] * x + h[4] * y + h[5]) / d));
+      const x0 = Math.floor(sx), y0 = Math.floor(sy), fx = sx - x0, fy = sy - y0;
+      const i00 = (y0 * sw + x0) * 4, i10 = i00 + 4, i01 = i00 + sw * 4, i11 = i01 + 4;
+      const o = (y * W + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const top = src.data[i00 + c] * (1 - fx) + src.data[i10 + c] * fx;
+        const bottom = src.data[i01 + c] * (1 - fx) + src.data[i11 + c] * fx;
+        out.data[o + c] = top * (1 - fy) + bottom * fy;
+      }
+      out.data[o + 3] = 255;
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return target;
+};
+
+// Ohne Eckpunkte wird nur auf die maximale Ausgabegröße verkleinert
+export const correctionBase = (img, correction) => {
+  if (correction.corners) return warpPerspective(img, correction.corners, correction.sheet);
+  const scale = Math.min(1, MAX_OUTPUT_SIZE / Math.max(img.width, img.height));
+  const canvas = createCanvas(img.width * scale, img.height * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+export const rotatedSize = (w, h, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(rad)), sin = Math.abs(Math.sin(rad));
+  return { w: Math.max(1, Math.round(w * cos + h * sin)), h: Math.max(1, Math.round(w * sin + h * cos)) };
+};
+
+// Dreht im Uhrzeigersinn; frei werdende Ecken werden weiß (wie Papier) gefüllt
+export const rotateCanvas = (canvas, degrees, target = null) => {
+  const rad = (degrees * Math.PI) / 180;
+  const size = rotatedSize(canvas.width, canvas.height, degrees);
+  const out = target || document.createElement('canvas');
+  out.width = size.w;
+  out.height = size.h;
+  const ctx = out.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.translate(out.width / 2, out.height / 2);
+  ctx.rotate(rad);
+  ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return out;
+};
+
+export const cropCanvas = (canvas, crop) => {
+  const x = (crop.x / 100) * canvas.width, y = (crop.y / 100) * canvas.height;
+  const out = createCanvas((crop.w / 100) * canvas.width, (crop.h / 100) * canvas.height);
+  out.getContext('2d').drawImage(canvas, x, y, out.width, out.height, 0, 0, out.width, out.height);
+  return out;
+};
+
+export const applyCorrection = async (imageSrc, correction) => {
+  const img = await loadImage(imageSrc);
+  let canvas = rotateCanvas(correctionBase(img, correction), correction.rotation);
+  if (correction.crop) canvas = cropCanvas(canvas, correction.crop);
+  return { image: canvas.toDataURL('image/jpeg', 0.92), size: { w: canvas.width, h: canvas.height } };
+};
+
+// Drehwinkel, der die erkannte Fußlängsachse senkrecht stellt (Zehen oben)
+export const detectRotation = async (imageSrc, options) => {
+  const area = await measureContactArea(imageSrc, options);
+  return area ? -area.axisAngle : null;
+};
+
+// Zuschnitt auf den Abdruck plus Rand, in Prozent der Bildgröße
+export const detectCrop = async (imageSrc, options) => {
+  const segmentation = await segmentImage(imageSrc, options, MEASURE_SIZE);
+  if (!segmentation) return null;
+  const { width, height, components, top, bottom } = segmentation;
+  const left = Math.min(...components.map(c => c.minX)), right = Math.max(...components.map(c => c.maxX));
+  const mx = (right - left + 1) * CROP_MARGIN, my = (bottom - top + 1) * CROP_MARGIN;
+  const x0 = Math.max(0, left - mx), y0 = Math.max(0, top - my);
+  const x1 = Math.min(width, right + 1 + mx), y1 = Math.min(height, bottom + 1 + my);
+  return { x: (x0 / width) * 100, y: (y0 / height) * 100, w: ((x1 - x0) / width) * 100, h: ((y1 - y0) / height) * 100 };
+};
@@ -0,0 +1,104 @@
+/**
+ * PUNKTWOLKE & HEATMAP
+ * Zeichnet den Schwellwert-Pass aus footprint.js auf ein Canvas – im Web Worker (meshWorker.js)
+ * auf ein OffscreenCanvas oder als Fallback im Hauptthread. `source` ist ein bereits dekodiertes Bild.
+ */
+import { MESH_SCALE, getThreshold, sampleGrayscale, createCanvas } from './footprint.js';
+
+const POINT_GAP = 3;
+const HEAT_BLUR_RADIUS = 2;
+
+// Farbverlauf der Heatmap: Intensität 0 (kein Kontakt) bis 1 (maximaler Abdruck)
+const HEAT_STOPS = [
+  [0, [0, 0, 0, 0]],
+  [0.15, [37, 99, 235, 0.45]],
+  [0.4, [34, 211, 238, 0.7]],
+  [0.7, [234, 179, 8, 0.8]],
+  [1, [239, 68, 68, 0.9]]
+];
+
+const HEAT_LUT = (() => {
+  const lut = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    const upper = HEAT_STOPS.findIndex(([stop]) => stop >= t);
+    const [t1, c1] = HEAT_STOPS[upper];
+    const [t0, c0] = HEAT_STOPS[Math.max(0, upper - 1)];
+    const f = t1 > t0 ? (t - t0) / (t1 - t0) : 0;
+    for (let c = 0; c < 4; c++) lut[i * 4 + c] = (c0[c] + (c1[c] - c0[c]) * f) * (c === 3 ? 255 : 1);
+  }
+  return lut;
+})();
+
+// Dunkle (eingefärbte) Pixel unterhalb der Schwelle ergeben die Kontaktintensität 0..1
+const contactIntensity = (source, w, h, { sensitivity, contrast }) => {
+  const { data } = sampleGrayscale(source, w, h, contrast);
+  const threshold = getThreshold(sensitivity);
+  const values = new Float32Array(w * h);
+  for (let i = 0; i < values.length; i++) values[i] = Math.max(0, 1 - data[i * 4] / threshold);
+  return values;
+};
+
+const boxBlur = (values, w, h, r) => {
+  const pass = (input, horizontal) => {
+    const out = new Float32Array(input.length);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let sum = 0, n = 0;
+        for (let k = -r; k <= r; k++) {
+          const xx = horizontal ? x + k : x, yy = horizontal ? y : y + k;
+          if (xx < 0 || yy < 0 || xx >= w || yy >= h) continue;
+          sum += input[yy * w + xx]; n++;
+        }
+        out[y * w + x] = sum / n;
+      }
+    }
+    return out;
+  };
+  return pass(pass(values, true), false);
+};
+
+const drawPointCloud = (ctx, source, { width, height, ...options }) => {
+  const smallW = Math.max(1, Math.floor(width * MESH_SCALE));
+  const smallH = Math.max(1, Math.floor(height * MESH_SCALE));
+  const values = contactIntensity(source, smallW, smallH, options);
+  for (let y = 0; y < smallH; y += POINT_GAP) {
+    for (let x = 0; x < smallW; x += POINT_GAP) {
+      const intensity = values[y * smallW + x];
+      if (intensity <= 0) continue;
+      ctx.beginPath();
+      ctx.arc(x / MESH_SCALE, y / MESH_SCALE, (1 + (intensity * 2.5)) * MESH_SCALE * 4, 0, Math.PI * 2);
+      ctx.fillStyle = intensity > 0.6 ? 'rgba(239, 68, 68, 0.9)' : (intensity > 0.3 ? 'rgba(234, 179, 8, 0.7)' : 'rgba(34, 211, 238, 0.7)');
+      ctx.fill();
+    }
+  }
+};
+
+// Kontinuierliche Druckverteilung: geglättete Intensität, beim Hochskalieren bilinear interpoliert
+const drawHeatmap = (ctx, source, { width, height, ...options }) => {
+  const smallW = Math.max(1, Math.floor(width * MESH_SCALE));
+  const smallH = Math.max(1, Math.floor(height * MESH_SCALE));
+  const values = boxBlur(contactIntensity(source, smallW, smallH, options), smallW, smallH, HEAT_BLUR_RADIUS);
+  const scratch = createCanvas(smallW, smallH);
+  const scratchCtx = scratch.getContext('2d');
+  const pixels = scratchCtx.createImageData(smallW, smallH);
+  for (let i = 0; i < values.length; i++) {
+    const lut = Math.round(values[i] * 255) * 4;
+    pixels.data.set(HEAT_LUT.subarray(lut, lut + 4), i * 4);
+  }
+  scratchCtx.putImageData(pixels, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(scratch, 0, 0, width, height);
+};
+
+/**
+ * Setzt die Canvas-Größe (leert damit die Zeichenfläche) und zeichnet je nach `mode`
+ * die Punktwolke ('mesh') oder die Heatmap ('heatmap').
+ */
+export const renderFootprint = (canvas, source, { width, height, sensitivity, contrast, mode }) => {
+  canvas.width = width;
+  canvas.height = height;
+  const draw = mode === 'heatmap' ? drawHeatmap : drawPointCloud;
+  draw(canvas.getContext('2d'), source, { width, height, sensitivity, contrast });
+};
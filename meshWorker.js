@@ -0,0 +1,61 @@
+/**
+ * MESH-WORKER
+ * Rendert Punktwolke und Heatmap auf ein übertragenes OffscreenCanvas. Das Bild wird nur bei
+ * neuer Quelle dekodiert; schnell aufeinanderfolgende Render-Aufträge (Slider) werden zusammengefasst.
+ * Die Kamera-Vorschau schickt bereits dekodierte Einzelbilder als übertragenes ImageBitmap.
+ *
+ * Nachrichten: { type: 'init', canvas } · { type: 'image', src } · { type: 'frame', bitmap }
+ *            · { type: 'render', width, height, sensitivity, contrast, mode }
+ */
+import { renderFootprint } from './meshRenderer.js';
+
+let canvas = null;
+let bitmap = null;
+let bitmapSrc = null;
+let params = null;
+let scheduled = false;
+
+const draw = () => {
+  scheduled = false;
+  if (!canvas || !bitmap || !params || !params.width || !params.height) return;
+  renderFootprint(canvas, bitmap, params);
+};
+
+const schedule = () => {
+  if (scheduled) return;
+  scheduled = true;
+  setTimeout(draw, 0);
+};
+
+// Ein Einzelbild ersetzt jede Bildquelle; ein noch laufendes Dekodieren wird damit verworfen
+const setFrame = (frame) => {
+  bitmapSrc = null;
+  bitmap?.close();
+  bitmap = frame;
+  schedule();
+};
+
+const decode = async (src) => {
+  if (src === bitmapSrc) return;
+  bitmapSrc = src;
+  let decoded;
+  try {
+    decoded = await createImageBitmap(await (await fetch(src)).blob());
+  } catch (e) {
+    // Fehlgeschlagene Quelle vergessen, damit ein erneuter Auftrag mit derselben URL wieder dekodiert
+    if (src === bitmapSrc) bitmapSrc = null;
+    throw e;
+  }
+  // Während des Dekodierens kann bereits ein neueres Bild angefordert worden sein
+  if (src !== bitmapSrc) { decoded.close(); return; }
+  bitmap?.close();
+  bitmap = decoded;
+  schedule();
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') { canvas = data.canvas; schedule(); }
+  if (data.type === 'image') decode(data.src).catch(e => console.error(e));
+  if (data.type === 'frame') setFrame(data.bitmap);
+  if (data.type === 'render') { params = data; schedule(); }
+};
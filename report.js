@@ -0,0 +1,169 @@
+/**
+ * REPORT-EXPORT
+ * Druckbarer HTML-Report (Drucken / als PDF speichern) und JSON-Export/-Import
+ * des vollständigen Analysezustands. Der Report wird in der aktiven Sprache erzeugt.
+ */
+import { loadImage } from './footprint.js';
+import { widthLabel } from './shoeCatalog.js';
+import { FOOT_TYPE_IDS, indexLabel, voteLabel, limitLabel, profileLabel, formatIndex, formatDistance, describeDecision } from './classification.js';
+import { t, getLanguage } from './i18n.js';
+
+export const EXPORT_FORMAT = 'stridelab-analysis';
+export const EXPORT_VERSION = 1;
+
+const BAR_COLORS = { forefoot: '#22d3ee', arch: '#fbbf24', heel: '#c084fc' };
+const ANNOTATION_SIZE = 1000;
+
+// Bezeichnungen im Katalog unter report.metrics
+const METRIC_ROWS = [
+  { key: 'csi' },
+  { key: 'si' },
+  { key: 'archIndex' },
+  { key: 'clarkeAngle', unit: '°' },
+  { key: 'forefootWidth', unit: '%' },
+  { key: 'midfootWidth', unit: '%' },
+  { key: 'heelWidth', unit: '%' },
+  { key: 'scaleSource', format: v => t(`report.scaleSources.${v}`) },
+  { key: 'footLengthMm', unit: ' mm' },
+  { key: 'ballWidthMm', unit: ' mm' },
+  { key: 'heelWidthMm', unit: ' mm' },
+  { key: 'sizeEu' },
+  { key: 'sizeUk' },
+  { key: 'sizeUs' },
+  { key: 'mondopoint' },
+  { key: 'widthFitting', format: widthLabel }
+];
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Fußabdruck mit den drei Messbalken als Bild (Balken in Prozent der Bildgröße)
+export const renderAnnotatedImage = async (foot) => {
+  const img = await loadImage(foot.image);
+  const scale = Math.min(1, ANNOTATION_SIZE / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.width * scale);
+  canvas.height = Math.round(img.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.filter = 'grayscale(100%) contrast(130%)';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  ctx.filter = 'none';
+
+  const barHeight = canvas.height * 0.05;
+  ctx.font = `bold ${Math.max(10, Math.round(barHeight * 0.4))}px monospace`;
+  ctx.textBaseline = 'middle';
+  Object.entries(foot.tools).forEach(([key, tool]) => {
+    const x = (tool.x / 100) * canvas.width;
+    const y = (tool.y / 100) * canvas.height - barHeight / 2;
+    const w = (tool.width / 100) * canvas.width;
+    ctx.fillStyle = `${BAR_COLORS[key]}33`;
+    ctx.fillRect(x, y, w, barHeight);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = BAR_COLORS[key];
+    ctx.strokeRect(x, y, w, barHeight);
+    ctx.fillStyle = BAR_COLORS[key];
+    ctx.fillText(key.toUpperCase(), x + w + 8, y + barHeight / 2);
+  });
+  return canvas.toDataURL('image/jpeg', 0.9);
+};
+
+const metricsTable = (metrics) => `<table>${METRIC_ROWS.filter(r => metrics[r.key] != null)
+  .map(r => `<tr><th>${escapeHtml(t(`report.metrics.${r.key}`))}</th><td>${escapeHtml(r.format ? r.format(metrics[r.key]) : metrics[r.key])}${r.unit || ''}</td></tr>`).join('')}</table>`;
+
+// Begründung der Einstufung: maßgeblicher Index und Abstand jedes Werts zu beiden Grenzen
+const classificationSection = (c) => `
+    <h3>${t('classification.title')} · ${escapeHtml(profileLabel(c.profile))}</h3>
+    <p>${t('classification.confidence')} ${Math.round(c.confidence * 100)} %${c.borderline ? ` · <span class="flag">${escapeHtml(t('classification.borderlineNote'))}</span>` : ''}<br />${escapeHtml(describeDecision(c))}</p>
+    <table><tr><th>${t('classification.columns.index')}</th><th>${t('classification.columns.value')}</th><th>${escapeHtml(limitLabel('flat'))} (Δ)</th><th>${escapeHtml(limitLabel('high'))} (Δ)</th><th>${t('classification.columns.vote')}</th></tr>${c.indices.map(i => `<tr${i.key === c.driver ? ' class="driver"' : ''}><th>${escapeHtml(indexLabel(i.key))}</th><td>${formatIndex(i.key, i.value)}</td>${['flat', 'high'].map(b => `<td>${formatIndex(i.key, i.limits[b])} (${formatDistance(i.key, i.distance[b])})</td>`).join('')}<td>${escapeHtml(voteLabel(i.vote))}</td></tr>`).join('')}</table>`;
+
+const footSection = (label, result) => `
+  <section>
+    <h2>${label ? `${escapeHtml(label)}: ` : ''}${escapeHtml(result.name)}</h2>
+    <p><strong>${escapeHtml(result.pronation)}</strong> – ${escapeHtml(result.description)}</p>
+    <h3>${t('report.risks')}</h3>
+    <ul>${result.medicalRisks.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+    ${result.classification ? classificationSection(result.classification) : ''}
+    <h3>${t('report.metricsTitle')}</h3>
+    ${metricsTable(result.metrics)}
+  </section>`;
+
+// KI-Texte aus einer anderen Sprache behalten ihr eigenes lang-Attribut
+const langAttribute = (language) => language && language !== getLanguage() ? ` lang="${escapeHtml(language)}"` : '';
+
+/**
+ * Baut den druckbaren Report. `feet` enthält je Fuß Label, annotiertes Bild und Ergebnis,
+ * `asymmetry` (nur Paar-Analyse) die vorbereiteten Zeilen des Seitenvergleichs.
+ * `shoeSize` wird bereits formatiert übergeben (z. B. „UK 8“), `aiLanguage` ist die Sprache der KI-Texte.
+ */
+export const buildReportHtml = ({ title, date, athlete, shoeSize, recommendation, feet, asymmetry, aiData, aiLanguage, shoes, selectedShoe }) => `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4; margin: 16mm; }
+  body { font-family: system-ui, sans-serif; color: #0f172a; margin: 0; font-size: 12px; line-height: 1.5; }
+  header { border-bottom: 3px solid #06b6d4; padding-bottom: 8px; margin-bottom: 16px; display: flex; justify-content: space-between; align-items: flex-end; }
+  h1 { font-size: 22px; margin: 0; } h2 { font-size: 16px; margin: 16px 0 4px; } h3 { font-size: 12px; text-transform: uppercase; color: #475569; margin: 12px 0 4px; }
+  .images { display: flex; gap: 12px; justify-content: center; } .images figure { margin: 0; text-align: center; } .images img { max-height: 90mm; max-width: 100%; border: 1px solid #cbd5e1; }
+  table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e2e8f0; } td { font-family: monospace; }
+  .box { border-left: 4px solid #06b6d4; background: #f1f5f9; padding: 8px 12px; margin-top: 8px; }
+  .flag { color: #b45309; font-weight: bold; }
+  .driver th, .driver td { font-weight: bold; background: #ecfeff; }
+  section { break-inside: avoid; }
+</style>
+</head>
+<body>
+  <header><h1>${escapeHtml(title)}</h1><div>${escapeHtml(date)}${athlete ? ` · ${escapeHtml(athlete)}` : ''} · ${escapeHtml(shoeSize)}</div></header>
+  <div class="images">${feet.map(f => `<figure><img src="${f.image}" alt="" />${f.label ? `<figcaption>${escapeHtml(f.label)}</figcaption>` : ''}</figure>`).join('')}</div>
+  ${feet.map(f => footSection(f.label, f.result)).join('')}
+  ${asymmetry ? `<section><h2>${t('asymmetry.heading')}</h2>${asymmetry.typeMismatch ? `<p class="flag">${escapeHtml(t('report.typeMismatch'))}</p>` : ''}
+    <table><tr><th></th><th>${t('sides.left')}</th><th>${t('sides.right')}</th><th>Δ</th></tr>${asymmetry.rows.map(r => `<tr><th>${escapeHtml(r.label)}</th><td>${escapeHtml(r.left)}</td><td>${escapeHtml(r.right)}</td><td${r.flagged ? ' class="flag"' : ''}>${escapeHtml(r.diff)}%</td></tr>`).join('')}</table></section>` : ''}
+  <section>
+    <h2>${t('report.recommendation')}: ${escapeHtml(recommendation)}</h2>
+    ${aiData?.explanation ? `<div class="box"${langAttribute(aiLanguage)}>${escapeHtml(aiData.explanation)}</div>` : ''}
+    ${aiData?.exercise ? `<h3>${t('report.exercise')}</h3><p${langAttribute(aiLanguage)}><strong>${escapeHtml(aiData.exercise.name)}</strong><br />${escapeHtml(aiData.exercise.instruction)}</p>` : ''}
+    ${shoes?.length ? `<h3>${t('report.shortlist')}</h3><ol>${shoes.map(s => `<li>${escapeHtml(s)}${s === selectedShoe ? ` (${t('report.selected')})` : ''}</li>`).join('')}</ol>` : ''}
+  </section>
+</body>
+</html>`;
+
+// Öffnet den Report zum Drucken; bei blockiertem Pop-up wird die HTML-Datei heruntergeladen.
+// Das Fenster wird vor dem ersten await geöffnet, damit es noch als Nutzeraktion gilt.
+export const printReport = async (buildHtml, filename) => {
+  const win = window.open('', '_blank');
+  let html;
+  try { html = await buildHtml(); } catch (e) { win?.close(); throw e; }
+  if (!win) { downloadFile(html, filename, 'text/html'); return; }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  await Promise.all([...win.document.images].map(img => img.complete ? null : new Promise(resolve => { img.onload = img.onerror = resolve; })));
+  win.focus();
+  win.print();
+};
+
+export const exportAnalysisJson = (analysis, filename) => {
+  downloadFile(JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), analysis }, null, 2), filename, 'application/json');
+};
+
+// Unbekannte Fußtyp-IDs (auch je Fuß im Paar-Modus) würden beim Anzeigen ins Leere greifen
+const isValidResult = (result) => FOOT_TYPE_IDS.includes(result?.id) && (!result.feet || (isValidResult(result.feet.left) && isValidResult(result.feet.right)));
+
+export const readAnalysisJson = async (file) => {
+  const data = JSON.parse(await file.text());
+  if (data?.format !== EXPORT_FORMAT) throw new Error(t('report.errors.format'));
+  if (data.version > EXPORT_VERSION) throw new Error(t('report.errors.version', { version: data.version }));
+  const { analysis } = data;
+  const complete = analysis?.result && analysis.feet && Object.values(analysis.feet).every(f => f?.image && f.tools);
+  if (!complete || !isValidResult(analysis.result) || !!analysis.pairMode !== !!analysis.result.feet) throw new Error(t('report.errors.incomplete'));
+  return analysis;
+};
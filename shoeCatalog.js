@@ -0,0 +1,61 @@
+/**
+ * SCHUHKATALOG
+ * Lokaler Laufschuh-Katalog (shoeCatalog.json, frei editierbar) mit Ranking nach Fußtyp
+ * und Schuhgröße sowie Zuordnung freier KI-Modellnamen zu Katalogeinträgen.
+ */
+import catalogData from './shoeCatalog.json';
+import { t } from './i18n.js';
+
+export const WIDTHS = ['narrow', 'regular', 'wide', 'extra-wide'];
+
+export const categoryLabel = (category) => t(`catalog.categories.${category}`);
+export const widthLabel = (width) => t(`catalog.widths.${width}`);
+
+export const SHOE_CATALOG = catalogData.map(entry => ({ ...entry, name: `${entry.brand} ${entry.model}` }));
+
+// Neutral grenzt an beide Richtungen, Stabilität und Dämpfung schließen sich gegenseitig aus
+const CATEGORY_SCORES = {
+  stability: { stability: 100, neutral: 40, cushioned: 0 },
+  neutral: { neutral: 100, stability: 40, cushioned: 40 },
+  cushioned: { cushioned: 100, neutral: 40, stability: 0 }
+};
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9äöüß]+/g, ' ').trim();
+
+/**
+ * Ordnet einen freien Modellnamen (z. B. "ASICS Gel-Kayano 30") einem Katalogeintrag zu.
+ * Alle Wörter des Modellnamens müssen vorkommen; die Marke ist optional, erhöht aber die Trefferqualität.
+ */
+export const matchCatalogEntry = (name, catalog = SHOE_CATALOG) => {
+  const words = normalize(name).split(' ');
+  // Versionszusätze wie "860v13" oder "Ghost16" zählen als Treffer für "860" bzw. "Ghost"
+  const contains = (w) => words.some(x => x === w || (x.startsWith(w) && /^v?\d+$/.test(x.slice(w.length))));
+  let best = null, bestScore = 0;
+  for (const entry of catalog) {
+    const modelWords = normalize(entry.model).split(' ');
+    if (!modelWords.every(contains)) continue;
+    const score = modelWords.length + (normalize(entry.brand).split(' ').every(contains) ? 1 : 0);
+    if (score > bestScore) { best = entry; bestScore = score; }
+  }
+  return best;
+};
+
+const typeBonus = (entry, category) => {
+  if (category === 'stability') return entry.drop >= 8 ? 10 : 0;
+  if (category === 'cushioned') return Math.max(0, entry.stack - 30);
+  return Math.max(0, (300 - entry.weight) / 5);
+};
+
+/**
+ * Bewertet alle Katalogmodelle für Schuhkategorie und EU-Größe.
+ * KI-Vorschläge, die einem Katalogeintrag entsprechen, erhalten einen Bonus.
+ */
+export const rankCatalog = ({ category, shoeSize, suggested = [] }, catalog = SHOE_CATALOG) => {
+  const suggestedIds = new Set(suggested.map(name => matchCatalogEntry(name, catalog)?.id).filter(Boolean));
+  return catalog.map(entry => {
+    const sizeAvailable = entry.sizes.includes(Math.round(shoeSize));
+    const isSuggested = suggestedIds.has(entry.id);
+    const score = (CATEGORY_SCORES[category]?.[entry.category] ?? 0) + (sizeAvailable ? 50 : 0) + (isSuggested ? 30 : 0) + typeBonus(entry, category);
+    return { entry, score, sizeAvailable, suggested: isSuggested, categoryMatch: entry.category === category };
+  }).sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,93 @@
+/**
+ * MASSSTAB & SCHUHGRÖSSEN
+ * Umrechnung Bildpixel → Millimeter (Referenzobjekt oder geschätzt aus der EU-Größe)
+ * sowie Fußlänge ↔ EU/UK/US/Mondopoint und Weitenklasse.
+ * Leistenlänge = Fußlänge + 15 mm Zugabe; EU im Pariser Stich (2/3 cm), UK/US in Barleycorn (1/3 Zoll).
+ */
+
+const ALLOWANCE_MM = 15;
+const PARIS_POINT_MM = 20 / 3;
+const BARLEYCORN_MM = 25.4 / 3;
+
+// Ballenbreite im Verhältnis zur Fußlänge
+const WIDTH_RATIOS = { narrow: 0.37, wide: 0.41 };
+
+// Bezeichnungen im Katalog unter sizing.references
+export const REFERENCE_OBJECTS = {
+  'a4-short': { mm: 210 },
+  'a4-long': { mm: 297 },
+  card: { mm: 85.6 },
+  custom: { mm: null }
+};
+
+export const DEFAULT_CALIBRATION = { method: 'size', reference: 'a4-short', referenceMm: 210, points: [] };
+
+export const roundHalf = (value) => Math.round(value * 2) / 2;
+
+export const euFromFootLength = (mm) => (mm + ALLOWANCE_MM) / PARIS_POINT_MM;
+export const footLengthFromEu = (eu) => eu * PARIS_POINT_MM - ALLOWANCE_MM;
+export const ukFromFootLength = (mm) => (mm + ALLOWANCE_MM) / BARLEYCORN_MM - 25;
+export const usFromFootLength = (mm) => ukFromFootLength(mm) + 1;
+export const footLengthFromUk = (uk) => (uk + 25) * BARLEYCORN_MM - ALLOWANCE_MM;
+export const footLengthFromUs = (us) => footLengthFromUk(us - 1);
+
+// --- Größensysteme (intern wird immer die EU-Größe gespeichert) ---
+export const SIZE_SYSTEMS = ['eu', 'uk', 'us'];
+export const EU_SIZE_RANGE = { min: 30, max: 52 };
+
+const FROM_FOOT_LENGTH = { eu: euFromFootLength, uk: ukFromFootLength, us: usFromFootLength };
+const TO_FOOT_LENGTH = { eu: footLengthFromEu, uk: footLengthFromUk, us: footLengthFromUs };
+
+// Umrechnung über die Fußlänge, auf halbe Größen gerundet
+export const convertSize = (value, from, to) => from === to ? value : roundHalf(FROM_FOOT_LENGTH[to](TO_FOOT_LENGTH[from](value)));
+
+export const formatSize = (eu, system = 'eu') => `${system.toUpperCase()} ${convertSize(eu, 'eu', system)}`;
+
+export const suggestSizes = (footLengthMm) => ({
+  eu: roundHalf(euFromFootLength(footLengthMm)),
+  uk: roundHalf(ukFromFootLength(footLengthMm)),
+  us: roundHalf(usFromFootLength(footLengthMm)),
+  mondopoint: Math.round(footLengthMm / 5) * 5
+});
+
+export const widthFitting = (ballWidthMm, footLengthMm) => {
+  const ratio = ballWidthMm / footLengthMm;
+  return ratio < WIDTH_RATIOS.narrow ? 'narrow' : (ratio > WIDTH_RATIOS.wide ? 'wide' : 'regular');
+};
+
+// Punkte in Prozent der Bildgröße → Abstand in Pixeln des Originalbilds
+export const referenceDistance = ([a, b], naturalSize) => Math.hypot(((b.x - a.x) / 100) * naturalSize.w, ((b.y - a.y) / 100) * naturalSize.h);
+
+/**
+ * Rechnet Balkenbreiten und die erkannte Fußlänge in Millimeter um.
+ * `area` ist das Ergebnis von measureFootprint (Pixel der Messauflösung), `tools` die Balken in Prozent.
+ * Ohne markierte Referenz wird der Maßstab aus der eingegebenen EU-Größe geschätzt; die Fußlänge wäre dann
+ * nur die Eingabe zurückgerechnet, daher gibt es Länge und Größenvorschlag nur mit Referenz (`scaleSource: 'reference'`).
+ */
+export const measureInMillimetres = ({ area, tools, naturalSize, calibration, shoeSize }) => {
+  const footLengthPx = area ? area.fullLength * (naturalSize.w / area.resolution.width) : null;
+  let mmPerPx = null, scaleSource = null;
+  if (calibration.method === 'reference' && calibration.points.length === 2 && calibration.referenceMm > 0) {
+    const distance = referenceDistance(calibration.points, naturalSize);
+    if (distance > 0) { mmPerPx = calibration.referenceMm / distance; scaleSource = 'reference'; }
+  }
+  if (!mmPerPx && footLengthPx) { mmPerPx = footLengthFromEu(shoeSize) / footLengthPx; scaleSource = 'size'; }
+  if (!mmPerPx) return {};
+
+  const barMm = (tool) => (tool.width / 100) * naturalSize.w * mmPerPx;
+  const ballWidth = barMm(tools.forefoot);
+  const metrics = { scaleSource, ballWidthMm: ballWidth.toFixed(0), heelWidthMm: barMm(tools.heel).toFixed(0) };
+  if (!footLengthPx) return metrics;
+
+  // Das Weitenverhältnis hängt nicht vom Maßstab ab
+  const footLength = footLengthPx * mmPerPx;
+  metrics.widthFitting = widthFitting(ballWidth, footLength);
+  if (scaleSource !== 'reference') return metrics;
+
+  const sizes = suggestSizes(footLength);
+  return {
+    ...metrics,
+    footLengthMm: footLength.toFixed(0),
+    sizeEu: String(sizes.eu), sizeUk: String(sizes.uk), sizeUs: String(sizes.us), mondopoint: String(sizes.mondopoint)
+  };
+};